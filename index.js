@@ -11,6 +11,8 @@
  * - Threshold-triggered context compaction
  * - Daily conversation archiving with deduplication
  * - Cross-session semantic search via SQLite-vec
+ * - Pluggable embedding backends (llama.cpp, OpenAI-compatible, Ollama, ONNX, custom)
+ * - Per-agent / per-user memory namespaces
  * - MEMORY.md ## Continuity section braiding
  *
  * Requires: SQLite-vec (better-sqlite3 + sqlite-vec extension)
@@ -71,8 +73,15 @@ module.exports = {
                 compaction: { type: 'object' },
                 tokenEstimation: { type: 'object' },
                 archive: { type: 'object' },
+                redaction: { type: 'object' },
                 embedding: { type: 'object' },
+                search: { type: 'object' },
                 session: { type: 'object' },
+                forget: { type: 'object' },
+                import: { type: 'object' },
+                integrity: { type: 'object' },
+                namespace: { type: 'object' },
+                encryption: { type: 'object' },
                 continuitySection: { type: 'object' }
             }
         }
@@ -89,58 +98,38 @@ module.exports = {
         // Shared module instances (accessible to all hooks + gateway methods)
         // -------------------------------------------------------------------
 
-        const TopicTracker = require('./lib/topic-tracker');
-        const ContinuityAnchors = require('./lib/continuity-anchors');
+        const SessionRegistry = require('./lib/session-registry');
         const TokenEstimator = require('./lib/token-estimator');
-        const Archiver = require('./storage/archiver');
-        const Indexer = require('./storage/indexer');
-        const Searcher = require('./storage/searcher');
+        const DayClock = require('./lib/day-clock');
+        const NamespaceRegistry = require('./storage/namespaces');
+        const SessionStore = require('./storage/session-store');
 
-        const topicTracker = new TopicTracker(config);
-        const anchors = new ContinuityAnchors(config);
         const tokenEstimator = new TokenEstimator(config.tokenEstimation || {});
-        const archiver = new Archiver(config, dataDir);
-
-        let indexer = null;
-        let searcher = null;
-        let storageReady = false;
-        let storageInitPromise = null;
-
-        async function ensureStorage() {
-            if (storageReady) return;
-            // Serialize: if init is already in progress, wait for it
-            if (storageInitPromise) {
-                await storageInitPromise;
-                return;
-            }
-            storageInitPromise = (async () => {
-                try {
-                    indexer = new Indexer(config, dataDir);
-                    await indexer.initialize();
-                    searcher = new Searcher(config, dataDir, indexer.db);
-                    await searcher.initialize();
-                    storageReady = true;
-                } catch (err) {
-                    console.error(`[Continuity] Storage init failed: ${err.message}`);
-                    // Reset so next call can retry
-                    indexer = null;
-                    searcher = null;
-                }
-            })();
-            await storageInitPromise;
-            storageInitPromise = null;
-        }
 
-        // Session state
-        let sessionStart = Date.now();
-        let exchangeCount = 0;
+        // Archive days are calendar days in archive.timezone
+        const clock = new DayClock(config);
+
+        // Archive, index and retrieval are scoped per namespace
+        // (agent / sender / channel, per config.namespace.keys).
+        // Each namespace's Indexer + Searcher initialize lazily on first use.
+        // With encryption enabled, a missing or wrong key throws here, so
+        // the plugin fails to load instead of starting with an empty memory.
+        const namespaces = new NamespaceRegistry(config, dataDir);
+        namespaces.getArchiver(NamespaceRegistry.DEFAULT_NAMESPACE);
 
-        // Cache the last archive retrieval for tool_result_persist enrichment
-        let _lastRetrievalCache = null;
+        // Per-session state: topic tracker, anchors, exchange counter and
+        // the last archive retrieval (for tool_result_persist enrichment).
+        // Snapshotted on agent_end so a restart doesn't wipe it mid-conversation.
+        const sessionStore = new SessionStore(config, dataDir, { cipher: namespaces.cipher });
+        const sessions = new SessionRegistry(config, sessionStore);
 
         // Continuity indicators (from config)
         const continuityIndicators = config.continuityIndicators || [];
 
+        // Multi-query retrieval: also search the raw text and active topics
+        const multiQuery = config.search?.multiQuery === true;
+        const maxTopicsInQuery = config.search?.maxTopicsInQuery || 5;
+
         // -------------------------------------------------------------------
         // HOOK: before_agent_start — Inject continuity context via prependContext
         // Priority 10 (runs after stability plugin if both present)
@@ -148,7 +137,11 @@ module.exports = {
 
         api.on('before_agent_start', async (event, ctx) => {
           try {
-            exchangeCount++;
+            const session = sessions.get(sessions.resolve(ctx, event));
+            const { topicTracker, anchors } = session;
+            session.exchangeCount++;
+            const ns = namespaces.resolve(ctx, event);
+            session.namespace = ns;
 
             // Extract last user message from the event messages array
             const messages = event.messages || [];
@@ -161,8 +154,14 @@ module.exports = {
             const lines = ['[CONTINUITY CONTEXT]'];
 
             // Session info
-            const sessionAge = _formatDuration(Date.now() - sessionStart);
-            lines.push(`Session: ${exchangeCount} exchanges | Started: ${sessionAge}`);
+            const sessionAge = _formatDuration(Date.now() - session.sessionStart);
+            lines.push(`Session: ${session.exchangeCount} exchanges | Started: ${sessionAge}`);
+
+            // Restored after a long pause — tell the agent once, on the first turn back
+            if (session.resumed?.interrupted && !session.resumed.announced) {
+                lines.push(`Resumed after a ${_formatGap(session.resumed.gapMs)} break — earlier topics and anchors below are from before it.`);
+                session.resumed.announced = true;
+            }
 
             // Active topics
             const allTopics = topicTracker.getAllTopics();
@@ -212,16 +211,31 @@ module.exports = {
                 lowerUser.includes(ind)
             );
 
-            _lastRetrievalCache = null;
+            session.lastRetrievalCache = null;
             const RELEVANCE_THRESHOLD = 1.0; // compositeScore below this = semantically relevant
-            console.log(`[Continuity] Search: intent=${hasContinuityIntent}, len=${cleanUserText.length}, query="${cleanUserText.substring(0, 80)}"`);
+
+            // Strip recall framing ("do you recall my ...?") so the query matches
+            // the original content rather than other meta-questions.
+            const distilledQuery = _distillSearchQuery(cleanUserText);
+            console.log(`[Continuity] Search: intent=${hasContinuityIntent}, len=${cleanUserText.length}, query="${distilledQuery.substring(0, 80)}"`);
 
             if (cleanUserText.length >= 10) {
                 try {
-                    await ensureStorage();
+                    const { searcher } = await namespaces.getStores(ns);
                     if (searcher) {
                         const searchStart = Date.now();
-                        const results = await searcher.search(cleanUserText, 30);
+                        let results;
+                        if (multiQuery) {
+                            // Raw text, distilled subject and active topics — merged candidate sets
+                            const topicQuery = allTopics.slice(0, maxTopicsInQuery).map(t => t.topic).join(' ');
+                            results = await searcher.multiSearch([
+                                { variant: 'raw', query: cleanUserText },
+                                { variant: 'distilled', query: distilledQuery },
+                                { variant: 'topics', query: topicQuery }
+                            ], 30);
+                        } else {
+                            results = await searcher.search(distilledQuery, 30);
+                        }
                         const searchLatency = Date.now() - searchStart;
                         console.log(`[Continuity] Search returned ${results?.exchanges?.length || 0} raw results`);
                         if (results?.exchanges?.length > 0) {
@@ -229,12 +243,13 @@ module.exports = {
                             console.log(`[Continuity] After filter: ${results.exchanges.length} useful results`);
                             if (results.exchanges.length > 0) {
                                 // Always cache for tool_result_persist enrichment
-                                _lastRetrievalCache = results;
+                                session.lastRetrievalCache = results;
 
                                 // Inject into prependContext if:
                                 // 1. Explicit continuity intent (user asking about past), OR
                                 // 2. Top result is semantically relevant (distance below threshold)
-                                const topScore = results.exchanges[0].compositeScore ?? results.exchanges[0].distance;
+                                //    Keyword-only hits without a distance never pass the gate alone.
+                                const topScore = results.exchanges[0].compositeScore ?? results.exchanges[0].distance ?? Infinity;
                                 const shouldInject = hasContinuityIntent || topScore < RELEVANCE_THRESHOLD;
                                 console.log(`[Continuity] topScore=${topScore.toFixed(3)}, threshold=${RELEVANCE_THRESHOLD}, inject=${shouldInject}`);
 
@@ -243,7 +258,15 @@ module.exports = {
                                     const telemetry = {
                                         timestamp: new Date().toISOString(),
                                         system: 'continuity',
+                                        namespace: ns,
                                         query: cleanUserText.substring(0, 200),
+                                        distilledQuery: distilledQuery.substring(0, 200),
+                                        multiQuery,
+                                        variants: results.variants,
+                                        hits: multiQuery
+                                            ? results.exchanges.map(e => ({ id: e.id, variants: e.variants }))
+                                            : undefined,
+                                        mode: results.mode,
                                         latencyMs: searchLatency,
                                         rawResults: results?.exchanges?.length || 0,
                                         resultCount: results.exchanges.length,
@@ -273,11 +296,20 @@ module.exports = {
                                         return (a.exchangeIndex || 0) - (b.exchangeIndex || 0);
                                     });
                                     for (const ex of recalled) {
+                                        if (ex.type === 'tool') {
+                                            lines.push(`- You used ${_truncate(ex.userText, 300)}`);
+                                            if (ex.agentText) lines.push(`  It returned: "${_agentExcerpt(ex, 800)}"`);
+                                            continue;
+                                        }
+                                        if (ex.type === 'summary') {
+                                            lines.push(`- Your conversation on ${ex.date}, in brief: "${_truncate(ex.userText, 600)}"`);
+                                            continue;
+                                        }
                                         if (ex.userText) {
                                             lines.push(`- They told you: "${_truncate(ex.userText, 600)}"`);
                                         }
                                         if (ex.agentText) {
-                                            lines.push(`  You said: "${_truncate(ex.agentText, 800)}"`);
+                                            lines.push(`  You said: "${_agentExcerpt(ex, 800)}"`);
                                         }
                                     }
                                     lines.push('Speak from this memory naturally. Never say "I don\'t have information" about things you remember above.');
@@ -285,7 +317,7 @@ module.exports = {
                             }
                         }
                     } else {
-                        console.log('[Continuity] Retrieval skipped: searcher not available after ensureStorage()');
+                        console.log(`[Continuity] Retrieval skipped: searcher not available for namespace "${ns}"`);
                     }
                 } catch (err) {
                     console.error(`[Continuity] Retrieval failed: ${err.message}`);
@@ -314,11 +346,11 @@ module.exports = {
             if (!query || query.length < 3) return;
 
             try {
-                await ensureStorage();
+                const { searcher } = await namespaces.getStores(namespaces.resolve(ctx, event));
                 if (searcher) {
                     const results = await searcher.search(query, 30);
                     if (results?.exchanges?.length > 0) {
-                        _lastRetrievalCache = results;
+                        sessions.get(sessions.resolve(ctx, event)).lastRetrievalCache = results;
                     }
                 }
             } catch (err) {
@@ -327,13 +359,30 @@ module.exports = {
         });
 
         // -------------------------------------------------------------------
-        // HOOK: after_tool_call — Mid-turn topic tracking (lightweight)
+        // HOOK: after_tool_call — Mid-turn topic tracking + tool call archive
+        //
+        // The call (tool, parameters, digest of the result) is archived as a
+        // tool record; agent_end's incremental index makes it searchable.
         // -------------------------------------------------------------------
 
         api.on('after_tool_call', (event, ctx) => {
             const text = _extractToolText(event.result);
             if (text && text.length > 20) {
-                topicTracker.track(text);
+                sessions.get(sessions.resolve(ctx, event)).topicTracker.track(text);
+            }
+
+            try {
+                namespaces.getArchiver(namespaces.resolve(ctx, event)).archiveToolCall({
+                    tool: event.toolName || ctx?.toolName,
+                    params: event.params,
+                    resultText: text,
+                    error: event.error,
+                    durationMs: event.durationMs,
+                    callId: event.toolCallId,
+                    timestamp: event.timestamp
+                });
+            } catch (err) {
+                console.error(`[Continuity] Tool call archive failed: ${err.message}`);
             }
         });
 
@@ -378,11 +427,12 @@ module.exports = {
             // We need to search synchronously or use cached results.
             // tool_result_persist is sync, so we can't await.
             // Instead, use a cached retrieval from before_agent_start if available.
-            if (!_lastRetrievalCache) return;
+            const retrievalCache = sessions.peek(sessions.resolve(ctx, event))?.lastRetrievalCache;
+            if (!retrievalCache) return;
 
             // Filter out noise: exchanges where the agent said "I don't have" or
             // Filter noise using shared filter function
-            const usefulExchanges = _filterUsefulExchanges(_lastRetrievalCache.exchanges);
+            const usefulExchanges = _filterUsefulExchanges(retrievalCache.exchanges);
 
             // Inject archive results as additional entries in the results array
             const archiveResults = usefulExchanges.slice(0, 5).map(ex => ({
@@ -391,8 +441,11 @@ module.exports = {
                 startLine: 0,
                 endLine: 0,
                 snippet: _truncate(
-                    (ex.userText ? `User: ${ex.userText}\n` : '') +
-                    (ex.agentText ? `Agent: ${ex.agentText}` : ''),
+                    ex.type === 'tool'
+                        ? `Tool: ${ex.userText}\n` + (ex.agentText ? `Result: ${ex.agentText}` : '')
+                        : ex.type === 'summary' ? `Summary: ${ex.userText}`
+                        : (ex.userText ? `User: ${ex.userText}\n` : '') +
+                          (ex.agentText ? `Agent: ${ex.agentText}` : ''),
                     700
                 ),
                 source: 'conversation-archive',
@@ -407,8 +460,19 @@ module.exports = {
             // Proprioceptive framing: ownership language, not disclosure
             const recallLines = ['You remember these conversations with this user:\n'];
             for (const ex of usefulExchanges.slice(0, 5)) {
+                if (ex.type === 'tool') {
+                    recallLines.push(`You used ${_truncate(ex.userText, 300)}`);
+                    if (ex.agentText) recallLines.push(`It returned: "${_agentExcerpt(ex, 1000)}"`);
+                    recallLines.push('');
+                    continue;
+                }
+                if (ex.type === 'summary') {
+                    recallLines.push(`Your conversation on ${ex.date}, in brief: "${_truncate(ex.userText, 800)}"`);
+                    recallLines.push('');
+                    continue;
+                }
                 if (ex.userText) recallLines.push(`They told you: "${_truncate(ex.userText, 800)}"`);
-                if (ex.agentText) recallLines.push(`You said: "${_truncate(ex.agentText, 1000)}"`);
+                if (ex.agentText) recallLines.push(`You said: "${_agentExcerpt(ex, 1000)}"`);
                 recallLines.push('');
             }
             recallLines.push('Speak from this memory naturally when answering.');
@@ -448,6 +512,9 @@ module.exports = {
 
             if (!lastAssistant && !lastUser) return;
 
+            const session = sessions.get(sessions.resolve(ctx, event));
+            const { topicTracker, anchors } = session;
+
             const rawUserMessage = _extractText(lastUser);
             const responseText = _extractText(lastAssistant);
 
@@ -467,44 +534,48 @@ module.exports = {
             });
             anchors.detect(cleanMessages);
 
-            // 3. Archive the exchange (strip context blocks from user message)
-            const toArchive = [];
-            if (lastUser && userMessage && userMessage.trim().length > 0) {
-                const cleanUser = { ...lastUser, timestamp: lastUser.timestamp || new Date().toISOString() };
-                // Replace content with stripped version so we don't archive plugin context
-                if (userMessage !== rawUserMessage) {
-                    cleanUser.content = userMessage;
-                }
-                toArchive.push(cleanUser);
-            }
-            // Archive agent response even if user message was entirely plugin-injected
-            if (lastAssistant) {
-                toArchive.push({
-                    ...lastAssistant,
-                    timestamp: lastAssistant.timestamp || new Date().toISOString()
-                });
-            }
+            // 3. Archive every message of the turn not archived yet. The
+            //    transcript arrives in full each turn; stable message ids
+            //    tell the new messages apart. Context blocks are stripped
+            //    from user messages so we don't archive plugin context.
+            const transcript = messages.map(m => {
+                if (m?.role !== 'user') return m;
+                const raw = _extractText(m);
+                const clean = _stripContextBlocks(raw);
+                return clean === raw ? m : { ...m, content: clean };
+            });
 
+            const ns = namespaces.resolve(ctx, event);
+            session.namespace = ns;
+            const today = clock.today();
+            const touchedDates = new Set([today]);
+            let archiver = null;
             try {
-                archiver.archive(toArchive);
+                archiver = namespaces.getArchiver(ns);
+                const result = archiver.archiveTranscript(session.conversationId, transcript, session.archivedIds);
+                for (const date of result.dates) touchedDates.add(date);
             } catch (err) {
                 console.error(`[Continuity] Archive failed: ${err.message}`);
             }
 
             // 3b. Incremental index (best-effort, non-blocking)
             try {
-                await ensureStorage();
-                if (indexer) {
-                    const today = new Date().toISOString().substring(0, 10);
-                    const conversation = archiver.getConversation(today);
-                    if (conversation && conversation.messages) {
-                        await indexer.indexDay(today, conversation.messages);
+                const { indexer } = await namespaces.getStores(ns);
+                if (indexer && archiver) {
+                    for (const date of touchedDates) {
+                        const conversation = archiver.getConversation(date);
+                        if (conversation && conversation.messages) {
+                            await indexer.indexDay(date, conversation.messages);
+                        }
                     }
                 }
             } catch (err) {
                 console.error(`[Continuity] Incremental index failed: ${err.message}`);
             }
 
+            // 4. Snapshot session state so a restart can resume it
+            sessions.save(session);
+
             // Session state (topics, anchors) is delivered via prependContext each turn.
             // MEMORY.md is left for the agent to curate per AGENTS.md instructions.
         });
@@ -514,6 +585,7 @@ module.exports = {
         // -------------------------------------------------------------------
 
         api.on('before_compaction', async (event, ctx) => {
+            const { topicTracker, anchors } = sessions.get(sessions.resolve(ctx, event));
             const activeAnchors = anchors.getAnchors();
             const allTopics = topicTracker.getAllTopics();
             const fixatedTopics = topicTracker.getFixatedTopics();
@@ -547,10 +619,7 @@ module.exports = {
         // -------------------------------------------------------------------
 
         api.on('session_start', (event, ctx) => {
-            sessionStart = Date.now();
-            exchangeCount = 0;
-            topicTracker.reset();
-            anchors.reset();
+            sessions.reset(sessions.resolve(ctx, event));
             api.logger.info(`Session started: ${event.sessionId}`);
         });
 
@@ -559,13 +628,17 @@ module.exports = {
         // -------------------------------------------------------------------
 
         api.on('session_end', async (event, ctx) => {
-            api.logger.info(`Session ended: ${event.sessionId} (${event.messageCount} messages, ${exchangeCount} exchanges)`);
+            const sessionId = sessions.resolve(ctx, event);
+            const session = sessions.peek(sessionId);
+            api.logger.info(`Session ended: ${event.sessionId} (${event.messageCount} messages, ${session?.exchangeCount || 0} exchanges)`);
 
-            // Trigger indexing of today's archive
+            // Trigger indexing of today's archive — in the namespace the session
+            // actually used (session_end ctx may lack sender/channel keys)
             try {
-                await ensureStorage();
+                const ns = session?.namespace || namespaces.resolve(ctx, event);
+                const { archiver, indexer } = await namespaces.getStores(ns);
                 if (indexer) {
-                    const today = new Date().toISOString().substring(0, 10);
+                    const today = clock.today();
                     const conversation = archiver.getConversation(today);
                     if (conversation && conversation.messages) {
                         await indexer.indexDay(today, conversation.messages);
@@ -574,25 +647,146 @@ module.exports = {
             } catch (err) {
                 api.logger.warn(`Session-end indexing failed: ${err.message}`);
             }
+
+            sessions.delete(sessionId);
         });
 
         // -------------------------------------------------------------------
         // Service: background maintenance
         // -------------------------------------------------------------------
 
+        // -------------------------------------------------------------------
+        // Forget — remove memories from archive, index, vectors and caches
+        // -------------------------------------------------------------------
+
+        const Forgetter = require('./storage/forgetter');
+
+        async function forgetMemories(ns, criteria) {
+            const { archiver, indexer, searcher } = await namespaces.getStores(ns);
+            const forgetter = new Forgetter(config, archiver, indexer, searcher);
+            const report = await forgetter.forget(criteria);
+
+            report.namespace = ns;
+            report.cacheEntries = report.dryRun ? 0 : _purgeRetrievalCaches(report);
+            // Texts are only needed to purge caches — never echo erased content back
+            delete report.removedTexts;
+            return report;
+        }
+
+        function _purgeRetrievalCaches(report) {
+            const ids = new Set(report.removedIds);
+            const texts = new Set(report.removedTexts);
+            let purged = 0;
+
+            for (const session of sessions.all()) {
+                const cache = session.lastRetrievalCache;
+                if (!cache?.exchanges) continue;
+                const kept = cache.exchanges.filter(ex =>
+                    !ids.has(ex.id) && !texts.has(ex.userText) && !texts.has(ex.agentText)
+                ).map(ex => (report.renumbered[ex.id] ? { ...ex, id: report.renumbered[ex.id] } : ex));
+                purged += cache.exchanges.length - kept.length;
+                session.lastRetrievalCache = kept.length > 0 ? { ...cache, exchanges: kept } : null;
+            }
+            return purged;
+        }
+
+        // Agent-callable: lets the user ask the agent to forget something.
+        // Resolved per session so the tool only touches that session's namespace.
+        api.registerTool((toolCtx) => ({
+            name: 'continuity_forget',
+            label: 'Forget memory',
+            description: 'Permanently erase remembered conversations from long-term memory ' +
+                '(archive, search index and recall cache). Use when the user asks you to forget ' +
+                'something. Match by text, by meaning (query), by exchange id, or by date range. ' +
+                'Run with dryRun first if unsure what will match.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string', description: 'Forget exchanges containing this text (case-insensitive)' },
+                    query: { type: 'string', description: 'Forget exchanges semantically matching this description' },
+                    ids: { type: 'array', items: { type: 'string' }, description: 'Exchange or tool record ids to forget' },
+                    startDate: { type: 'string', description: 'YYYY-MM-DD — first day (inclusive)' },
+                    endDate: { type: 'string', description: 'YYYY-MM-DD — last day (inclusive)' },
+                    dryRun: { type: 'boolean', description: 'Report what would be forgotten without removing it' }
+                }
+            },
+            async execute(toolCallId, params) {
+                const session = sessions.peek(sessions.resolve(toolCtx));
+                const ns = session?.namespace || namespaces.resolve(toolCtx);
+                try {
+                    const report = await forgetMemories(ns, params || {});
+                    const text = report.dryRun
+                        ? `Would forget ${report.exchanges} exchange(s) across ${report.dates.length} day(s).`
+                        : `Forgot ${report.exchanges} exchange(s) (${report.archiveMessages} archived messages) across ${report.dates.length} day(s).`;
+                    return { content: [{ type: 'text', text }], details: report };
+                } catch (err) {
+                    return { content: [{ type: 'text', text: `Forget failed: ${err.message}` }], details: { error: err.message } };
+                }
+            }
+        }), { name: 'continuity_forget' });
+
+        // -------------------------------------------------------------------
+        // Import — seed the archive from transcripts and chat exports
+        // -------------------------------------------------------------------
+
+        const Importer = require('./storage/importer');
+        // Sources must lie inside it; relative paths resolve against it
+        const importsDir = path.resolve(dataDir, config.import?.dir || 'imports');
+        // Progress of the running import, if any (one at a time), and a
+        // summary of the last one to finish
+        let importProgress = null;
+        let lastImport = null;
+
+        function _importStatus() {
+            return importProgress
+                ? { running: true, ...importProgress, last: lastImport }
+                : { running: false, last: lastImport };
+        }
+
+        // -------------------------------------------------------------------
+        // Export — render archived conversations as Markdown, HTML or JSONL
+        // -------------------------------------------------------------------
+
+        const Exporter = require('./storage/exporter');
+
+        /**
+         * Messages a session archived, by its live state or saved snapshot.
+         */
+        function _sessionSelection(sessionId) {
+            const state = sessions.peek(sessionId) || sessionStore.load(sessionId);
+            if (!state) throw new Error(`Unknown session "${sessionId}" (no live state or snapshot)`);
+            return {
+                namespace: state.namespace || null,
+                session: { id: sessionId, ids: new Set(state.archivedIds.keys()), start: state.sessionStart }
+            };
+        }
+
+        // -------------------------------------------------------------------
+        // Integrity — check archive and database against each other
+        // -------------------------------------------------------------------
+
+        const IntegrityChecker = require('./storage/integrity-checker');
+
+        // -------------------------------------------------------------------
+        // Retention — mark what outlives archive.retentionDays
+        // -------------------------------------------------------------------
+
+        const RetentionPolicy = require('./storage/retention');
+
         const MaintenanceService = require('./services/maintenance');
         let maintenance = null;
         api.registerService({
             id: 'continuity-maintenance',
             start: async (serviceCtx) => {
-                await ensureStorage();
-                maintenance = new MaintenanceService(config, archiver, indexer);
+                await namespaces.getStores(NamespaceRegistry.DEFAULT_NAMESPACE);
+                maintenance = new MaintenanceService(config, namespaces, sessionStore);
                 await maintenance.execute();
                 // Re-index every 5 minutes
                 maintenance.startInterval(5 * 60 * 1000);
             },
             stop: async () => {
                 if (maintenance) maintenance.stopInterval();
+                namespaces.closeAll();
             }
         });
 
@@ -600,14 +794,21 @@ module.exports = {
         // Gateway methods — dashboards + debugging
         // -------------------------------------------------------------------
 
-        api.registerGatewayMethod('continuity.getState', async ({ respond }) => {
+        api.registerGatewayMethod('continuity.getState', async ({ params, respond }) => {
+            const ns = namespaces.fromParam(params?.namespace);
+            // Explicit session, else the most recently active one
+            const session = params?.sessionId ? sessions.peek(params.sessionId) : sessions.latest();
             respond(true, {
-                archive: archiver.getStats(),
-                topics: topicTracker.getAllTopics(),
-                anchors: anchors.getAnchors(),
-                exchangeCount,
-                sessionAge: Date.now() - sessionStart,
-                indexReady: storageReady
+                namespace: ns,
+                sessionId: session?.id || null,
+                archive: namespaces.getArchiver(ns).getStats(),
+                topics: session ? session.topicTracker.getAllTopics() : [],
+                anchors: session ? session.anchors.getAnchors() : [],
+                exchangeCount: session?.exchangeCount || 0,
+                sessionAge: session ? Date.now() - session.sessionStart : 0,
+                indexReady: namespaces.isReady(ns),
+                embedding: namespaces.embeddings.describe(),
+                import: _importStatus()
             });
         });
 
@@ -617,14 +818,16 @@ module.exports = {
 
         api.registerGatewayMethod('continuity.search', async ({ params, respond }) => {
             try {
-                await ensureStorage();
+                const ns = namespaces.fromParam(params?.namespace);
+                const { searcher } = await namespaces.getStores(ns);
                 if (!searcher) {
-                    respond(false, null, { message: 'Searcher not initialized' });
+                    respond(false, null, { message: `Searcher not initialized for namespace "${ns}"` });
                     return;
                 }
                 const results = await searcher.search(
                     params?.text || params?.query || '',
-                    params?.limit || 5
+                    params?.limit || 5,
+                    { mode: params?.mode, types: params?.types ?? params?.type }
                 );
                 respond(true, results);
             } catch (err) {
@@ -632,18 +835,165 @@ module.exports = {
             }
         });
 
-        api.registerGatewayMethod('continuity.getArchiveStats', async ({ respond }) => {
-            respond(true, archiver.getStats());
+        api.registerGatewayMethod('continuity.getArchiveStats', async ({ params, respond }) => {
+            respond(true, namespaces.getArchiver(namespaces.fromParam(params?.namespace)).getStats());
         });
 
-        api.registerGatewayMethod('continuity.getTopics', async ({ respond }) => {
+        api.registerGatewayMethod('continuity.getReindexStatus', async ({ params, respond }) => {
+            try {
+                // One namespace if asked for, else every namespace with open storage
+                const ids = params?.namespace
+                    ? [namespaces.fromParam(params.namespace)]
+                    : namespaces.list().filter(ns => namespaces.isReady(ns));
+                const status = {};
+                for (const ns of ids) {
+                    const { indexer } = params?.namespace
+                        ? await namespaces.getStores(ns)
+                        : namespaces.peekStores(ns);
+                    status[ns] = indexer ? indexer.getReindexStatus() : { active: null, building: null };
+                }
+                respond(true, { embedding: namespaces.embeddings.describe(), namespaces: status });
+            } catch (err) {
+                respond(false, null, { message: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('continuity.getTopics', async ({ params, respond }) => {
+            const session = params?.sessionId ? sessions.peek(params.sessionId) : sessions.latest();
             respond(true, {
-                topics: topicTracker.getAllTopics(),
-                fixated: topicTracker.getFixatedTopics()
+                sessionId: session?.id || null,
+                topics: session ? session.topicTracker.getAllTopics() : [],
+                fixated: session ? session.topicTracker.getFixatedTopics() : []
             });
         });
 
+        api.registerGatewayMethod('continuity.getSessions', async ({ respond }) => {
+            sessions.evictIdle();
+            respond(true, { sessions: sessions.list() });
+        });
+
+        api.registerGatewayMethod('continuity.forget', async ({ params, respond }) => {
+            try {
+                const ns = namespaces.fromParam(params?.namespace);
+                const { namespace, ...criteria } = params || {};
+                respond(true, await forgetMemories(ns, criteria));
+            } catch (err) {
+                respond(false, null, { message: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('continuity.markImportant', async ({ params, respond }) => {
+            try {
+                const ns = namespaces.fromParam(params?.namespace);
+                const ids = Array.isArray(params?.ids) ? params.ids : params?.id ? [params.id] : [];
+                if (ids.length === 0) throw new Error('markImportant requires ids');
+                const { archiver, indexer } = await namespaces.getStores(ns);
+                const retention = new RetentionPolicy(config, archiver, indexer);
+                respond(true, { namespace: ns, ...retention.markImportant(ids, params.important !== false) });
+            } catch (err) {
+                respond(false, null, { message: err.message });
+            }
+        });
+
+        // Without a namespace, every namespace is checked
+        api.registerGatewayMethod('continuity.fsck', async ({ params, respond }) => {
+            try {
+                const repair = !!params?.repair;
+                const list = params?.namespace ? [namespaces.fromParam(params.namespace)] : namespaces.list();
+                const result = { repair, problems: 0, namespaces: {} };
+                for (const ns of list) {
+                    const { archiver, indexer } = await namespaces.getStores(ns);
+                    const checker = new IntegrityChecker(config, archiver, indexer, {
+                        quarantineDir: IntegrityChecker.quarantineDirFor(namespaces.dataDirFor(ns))
+                    });
+                    const report = await checker.check({ repair });
+                    result.namespaces[ns] = report;
+                    result.problems += report.problems;
+                }
+                respond(true, result);
+            } catch (err) {
+                respond(false, null, { message: err.message });
+            }
+        });
+
+        api.registerGatewayMethod('continuity.import', async ({ params, respond }) => {
+            if (importProgress) {
+                respond(false, importProgress, {
+                    message: `An import is already running (${importProgress.filesDone}/${importProgress.filesTotal} files)`
+                });
+                return;
+            }
+            const ns = namespaces.fromParam(params?.namespace);
+            const startedAt = new Date().toISOString();
+            importProgress = {
+                namespace: ns, startedAt, phase: 'reading', file: null,
+                filesDone: 0, filesTotal: 0, imported: 0, datesDone: 0, datesTotal: 0
+            };
+            try {
+                ensureDir(importsDir);
+                const { archiver, indexer } = await namespaces.getStores(ns);
+                const importer = new Importer(config, archiver, indexer, { cleanUserText: _stripContextBlocks, importsDir });
+                const report = await importer.import(params || {}, progress => {
+                    importProgress = { namespace: ns, startedAt, ...progress };
+                });
+                const finishedAt = new Date().toISOString();
+                lastImport = {
+                    namespace: ns, startedAt, finishedAt, error: null,
+                    files: report.files.length, imported: report.imported, edited: report.edited,
+                    dates: report.dates.length, indexedDays: report.indexedDays,
+                    unindexedDays: report.unindexedDays.length, errors: report.errors.length
+                };
+                respond(true, { namespace: ns, startedAt, finishedAt, ...report });
+            } catch (err) {
+                lastImport = { namespace: ns, startedAt, finishedAt: new Date().toISOString(), error: err.message };
+                respond(false, null, { message: err.message });
+            } finally {
+                importProgress = null;
+            }
+        });
+
+        api.registerGatewayMethod('continuity.getImportStatus', async ({ respond }) => {
+            respond(true, _importStatus());
+        });
+
+        api.registerGatewayMethod('continuity.export', async ({ params, respond }) => {
+            try {
+                const { namespace, sessionId, path: outPath, overwrite, ...selection } = params || {};
+                const format = Exporter.resolveFormat(selection.format);
+                let ns = namespaces.fromParam(namespace);
+                if (sessionId) {
+                    const picked = _sessionSelection(sessionId);
+                    if (!namespace && picked.namespace) ns = picked.namespace;
+                    selection.session = picked.session;
+                }
+                const { archiver, searcher } = await namespaces.getStores(ns);
+                const exporter = new Exporter(config, archiver, searcher, { namespace: ns });
+                selection.query = selection.query || selection.text;
+                selection.format = format;
+
+                if (!outPath) {
+                    respond(true, { namespace: ns, ...(await exporter.renderString(selection)) });
+                    return;
+                }
+                // Confined to data/exports/
+                const filePath = Exporter.resolvePath(path.join(dataDir, 'exports'), outPath, format);
+                respond(true, { namespace: ns, ...(await exporter.writeFile(filePath, selection, { overwrite: overwrite === true })) });
+            } catch (err) {
+                respond(false, null, { message: err.message });
+            }
+        });
+
         api.logger.info('Continuity plugin registered — context budgeting, topic tracking, archive + semantic search active');
+    },
+
+    /**
+     * Register a custom embedding backend, selectable via embedding.provider.
+     * Other plugins can call this, or set the backend on the shared registry
+     * (globalThis[Symbol.for('openclaw-plugin-continuity.embeddingBackends')])
+     * without requiring this module.
+     */
+    registerEmbeddingBackend(name, backend) {
+        require('./storage/embedding-provider').registerBackend(name, backend);
     }
 };
 
@@ -665,6 +1015,10 @@ module.exports = {
 
 function _filterUsefulExchanges(exchanges) {
     return exchanges.filter(ex => {
+        // Tool output is what the agent saw, and summaries are generated —
+        // neither is conversational noise
+        if (ex.type === 'tool' || ex.type === 'summary') return true;
+
         const agentLower = (ex.agentText || '').toLowerCase();
         const userLower = (ex.userText || '').toLowerCase();
 
@@ -860,6 +1214,14 @@ function _formatDuration(ms) {
     return rem > 0 ? `${hours}h ${rem}min ago` : `${hours}h ago`;
 }
 
+function _formatGap(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}min`;
+    const hours = Math.floor(minutes / 60);
+    const rem = minutes % 60;
+    return rem > 0 ? `${hours}h ${rem}min` : `${hours}h`;
+}
+
 function _formatAge(timestamp) {
     const minutes = Math.round((Date.now() - timestamp) / 60000);
     if (minutes < 1) return 'just now';
@@ -867,6 +1229,20 @@ function _formatAge(timestamp) {
     return `${Math.round(minutes / 60)}h ago`;
 }
 
+/**
+ * The agent's side of a recalled exchange (a tool record's result).
+ * When the search hit was a later chunk of a long exchange, show that
+ * passage rather than the opening, which the truncation would otherwise
+ * keep.
+ */
+function _agentExcerpt(ex, maxLen) {
+    if (ex.chunk?.index > 0 && ex.chunk.text) {
+        const passage = ex.chunk.text.substring(ex.chunk.text.indexOf('\n') + 1);
+        return '… ' + _truncate(passage.replace(/^(User|Agent|Tool|Result): /, ''), maxLen);
+    }
+    return _truncate(ex.agentText, maxLen);
+}
+
 function _truncate(text, maxLen) {
     if (!text || text.length <= maxLen) return text;
     // Sentence-boundary-aware truncation: find the last sentence end before maxLen
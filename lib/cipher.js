@@ -0,0 +1,260 @@
+/**
+ * Cipher — Authenticated encryption at rest (AES-256-GCM).
+ *
+ * With encryption.enabled, the archive and the text columns of
+ * continuity.db are stored encrypted, so a copy of the data directory
+ * on a shared host reveals nothing without the key.
+ *
+ * The 32-byte key is read from an environment variable
+ * (encryption.keyEnv, default CONTINUITY_KEY) or a key file
+ * (encryption.keyFile), hex or base64 encoded. Generate one with
+ * `node scripts/rekey.js generate`. An enabled cipher without a usable
+ * key is a hard error — starting with an empty memory would hide the
+ * real one, and writing plaintext would defeat the point.
+ *
+ * Two encodings:
+ *   text   — "enc:v1:<keyId>:<base64(iv | tag | ciphertext)>", used for
+ *            archive lines and DB columns; anything without the prefix is
+ *            plaintext written before encryption was enabled
+ *   binary — MAGIC | keyId | iv | tag | ciphertext, used for whole files
+ *            (compressed archive days, session snapshots)
+ *
+ * keyId is the first 8 hex chars of sha256(key). It is stored with every
+ * value so data written under another key fails with a clear message
+ * instead of an authentication error. scripts/rekey.js re-encrypts a
+ * data directory under a new key, reading through a cipher that also
+ * holds the old one (previousKeys), so an interrupted run can resume.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const TEXT_PREFIX = 'enc:v1:';
+const MAGIC = Buffer.from('CENC1\0');
+const KEY_ID_CHARS = 8;
+
+class Cipher {
+    /**
+     * @param {Buffer} key - 32-byte key; everything is encrypted with it
+     * @param {Buffer[]} [previousKeys] - older keys still accepted for decryption
+     */
+    constructor(key, previousKeys = []) {
+        for (const k of [key, ...previousKeys]) {
+            if (!Buffer.isBuffer(k) || k.length !== KEY_BYTES) {
+                throw new Error(`Encryption key must be ${KEY_BYTES} bytes`);
+            }
+        }
+        this._key = key;
+        this.keyId = Cipher.keyIdOf(key);
+        // keyId → key, for decryption
+        this._keys = new Map([...previousKeys, key].map(k => [Cipher.keyIdOf(k), k]));
+        // Separate key for content hashes, so they can't be matched
+        // against hashes of guessed text
+        this._hashKey = Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'continuity content hash', 32));
+    }
+
+    /**
+     * Build the cipher from config.
+     * @param {object} config - full plugin config (reads encryption section)
+     * @returns {Cipher|null} null when encryption is disabled
+     */
+    static fromConfig(config = {}) {
+        const ec = config.encryption || {};
+        if (!ec.enabled) return null;
+        const keyEnv = ec.keyEnv || 'CONTINUITY_KEY';
+        const key = Cipher.loadKey({ keyEnv, keyFile: ec.keyFile });
+        if (!key) {
+            throw new Error(
+                `Encryption is enabled but no key was found: set the ${keyEnv} environment variable ` +
+                'or encryption.keyFile (generate a key with `node scripts/rekey.js generate`)'
+            );
+        }
+        return new Cipher(key);
+    }
+
+    /**
+     * Read a key from a key file or environment variable (file wins).
+     * @param {object} source
+     * @param {string} [source.keyEnv]
+     * @param {string} [source.keyFile]
+     * @returns {Buffer|null} null when neither is set
+     */
+    static loadKey({ keyEnv, keyFile } = {}) {
+        if (keyFile) {
+            let text;
+            try {
+                text = fs.readFileSync(keyFile, 'utf8');
+            } catch (err) {
+                throw new Error(`Cannot read encryption key file ${keyFile}: ${err.message}`);
+            }
+            return Cipher.parseKey(text, keyFile);
+        }
+        const value = keyEnv ? process.env[keyEnv] : null;
+        return value ? Cipher.parseKey(value, `$${keyEnv}`) : null;
+    }
+
+    /**
+     * Decode a hex or base64 key.
+     * @param {string} text
+     * @param {string} [source] - where it came from, for the error message
+     * @returns {Buffer}
+     */
+    static parseKey(text, source = 'key') {
+        const trimmed = String(text).trim();
+        const key = /^[0-9a-fA-F]{64}$/.test(trimmed)
+            ? Buffer.from(trimmed, 'hex')
+            : Buffer.from(trimmed, 'base64');
+        if (key.length !== KEY_BYTES) {
+            throw new Error(`Encryption key in ${source} must be ${KEY_BYTES} bytes, hex or base64 encoded`);
+        }
+        return key;
+    }
+
+    /**
+     * A new random key, base64 encoded.
+     * @returns {string}
+     */
+    static generateKey() {
+        return crypto.randomBytes(KEY_BYTES).toString('base64');
+    }
+
+    /**
+     * Error for encrypted data met without a cipher.
+     * @param {string} what - e.g. "Archive day 2026-03-01"
+     * @returns {Error}
+     */
+    static missingKeyError(what) {
+        return new Error(`${what} is encrypted, but encryption is not enabled or no key is configured`);
+    }
+
+    static keyIdOf(key) {
+        return crypto.createHash('sha256').update(key).digest('hex').substring(0, KEY_ID_CHARS);
+    }
+
+    /**
+     * Whether a string is in the encrypted text encoding.
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+    }
+
+    /**
+     * Whether a buffer is in the encrypted binary encoding.
+     * @param {Buffer} data
+     * @returns {boolean}
+     */
+    static isSealed(data) {
+        return Buffer.isBuffer(data) && data.length >= MAGIC.length &&
+            data.subarray(0, MAGIC.length).equals(MAGIC);
+    }
+
+    /**
+     * Key id a value was encrypted with, or null for plaintext.
+     * @param {string|Buffer} value
+     * @returns {string|null}
+     */
+    static keyIdFor(value) {
+        if (Cipher.isEncrypted(value)) return value.substring(TEXT_PREFIX.length, TEXT_PREFIX.length + KEY_ID_CHARS);
+        if (Cipher.isSealed(value)) return value.subarray(MAGIC.length, MAGIC.length + KEY_ID_CHARS).toString('ascii');
+        return null;
+    }
+
+    /**
+     * Encrypt a string. null / undefined pass through.
+     * @param {string} text
+     * @returns {string}
+     */
+    encryptText(text) {
+        if (text === null || text === undefined) return text;
+        const sealed = this._encrypt(Buffer.from(String(text), 'utf8'));
+        return `${TEXT_PREFIX}${this.keyId}:${sealed.toString('base64')}`;
+    }
+
+    /**
+     * Decrypt a string; plaintext (no prefix) is returned unchanged.
+     * @param {string} value
+     * @returns {string}
+     */
+    decryptText(value) {
+        if (!Cipher.isEncrypted(value)) return value;
+        const keyId = Cipher.keyIdFor(value);
+        this.assertKey(keyId);
+        const body = value.substring(TEXT_PREFIX.length + KEY_ID_CHARS + 1);
+        return this._decrypt(Buffer.from(body, 'base64'), this._keys.get(keyId)).toString('utf8');
+    }
+
+    /**
+     * Encrypt a buffer into the binary encoding.
+     * @param {Buffer} data
+     * @returns {Buffer}
+     */
+    seal(data) {
+        return Buffer.concat([MAGIC, Buffer.from(this.keyId, 'ascii'), this._encrypt(data)]);
+    }
+
+    /**
+     * Decrypt the binary encoding; anything else is returned unchanged.
+     * @param {Buffer} data
+     * @returns {Buffer}
+     */
+    open(data) {
+        if (!Cipher.isSealed(data)) return data;
+        const keyId = Cipher.keyIdFor(data);
+        this.assertKey(keyId);
+        return this._decrypt(data.subarray(MAGIC.length + KEY_ID_CHARS), this._keys.get(keyId));
+    }
+
+    /**
+     * Throw unless data marked with keyId can be read with this key.
+     * @param {string} keyId
+     * @param {string} [what] - what the data is, for the message
+     */
+    assertKey(keyId, what = 'Data') {
+        if (!this._keys.has(keyId)) {
+            throw new Error(
+                `${what} was encrypted with key ${keyId}, but the configured key is ${this.keyId} ` +
+                '(run `node scripts/rekey.js rotate` after changing keys)'
+            );
+        }
+    }
+
+    /**
+     * Keyed content hash (HMAC-SHA256), hex.
+     * @param {string} text
+     * @returns {string}
+     */
+    hash(text) {
+        return crypto.createHmac('sha256', this._hashKey).update(text).digest('hex');
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _encrypt(plaintext) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this._key, iv);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+    }
+
+    _decrypt(payload, key) {
+        const iv = payload.subarray(0, IV_BYTES);
+        const tag = payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+        decipher.setAuthTag(tag);
+        try {
+            return Buffer.concat([decipher.update(payload.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+        } catch {
+            throw new Error('Encrypted data failed authentication (corrupted or tampered)');
+        }
+    }
+}
+
+module.exports = Cipher;
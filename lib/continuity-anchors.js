@@ -151,6 +151,27 @@ class ContinuityAnchors {
         this._anchors = [];
     }
 
+    /**
+     * Export anchors as plain objects (for session snapshots).
+     * @returns {Array}
+     */
+    serialize() {
+        return this._anchors.map(a => ({ ...a }));
+    }
+
+    /**
+     * Replace anchors with a snapshot from serialize().
+     * Expired anchors are pruned on the way in.
+     * @param {Array} anchors
+     */
+    restore(anchors) {
+        this._anchors = this.prune(
+            (anchors || []).filter(a => a && a.type && typeof a.timestamp === 'number'),
+            this.maxAge,
+            this.maxCount
+        );
+    }
+
     // ---------------------------------------------------------------
     // Internal
     // ---------------------------------------------------------------
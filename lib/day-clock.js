@@ -0,0 +1,117 @@
+/**
+ * DayClock — Calendar days in the archive timezone.
+ *
+ * Timestamps are stored in UTC (ISO 8601), but a "day" — the archive
+ * file a message lands in, "today" for incremental indexing, the
+ * retention cutoff — is a calendar day where the users are. Cutting days
+ * at UTC midnight splits a US evening conversation across two files.
+ *
+ * archive.timezone takes an IANA zone name ("America/New_York"). Empty
+ * means the gateway's local zone. An unknown name falls back to the
+ * local zone with a warning. Zone names are canonicalized ("Etc/UTC" and
+ * "GMT" are both "UTC"), so stored names can be compared directly.
+ */
+
+class DayClock {
+    /**
+     * @param {object} config - full plugin config (reads archive.timezone)
+     */
+    constructor(config = {}) {
+        const requested = config.archive?.timezone || '';
+        this.timeZone = DayClock.resolveZone(requested);
+
+        this._dateFormat = new Intl.DateTimeFormat('en-CA', {
+            timeZone: this.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+        });
+        this._timeFormat = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Canonical IANA name of a zone ('' = the gateway's local zone).
+     * @param {string} zone
+     * @returns {string}
+     */
+    static resolveZone(zone) {
+        try {
+            return new Intl.DateTimeFormat('en-US', { timeZone: zone || undefined }).resolvedOptions().timeZone;
+        } catch {
+            const local = new Intl.DateTimeFormat('en-US').resolvedOptions().timeZone;
+            console.warn(`[DayClock] Unknown timezone "${zone}", using ${local}`);
+            return local;
+        }
+    }
+
+    /**
+     * Add days to a YYYY-MM-DD date (pure calendar arithmetic).
+     * @param {string} date
+     * @param {number} days - may be negative
+     * @returns {string}
+     */
+    static shiftDate(date, days) {
+        const [y, m, d] = date.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d + days)).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Calendar day of a timestamp in the archive zone.
+     * @param {string|number|Date} ts
+     * @returns {string} YYYY-MM-DD
+     */
+    dateOf(ts) {
+        const date = ts instanceof Date ? ts : new Date(ts);
+        // Unparseable strings keep their own date prefix
+        if (isNaN(date.getTime())) return String(ts).substring(0, 10);
+        return this._dateFormat.format(date);
+    }
+
+    /**
+     * Wall-clock time of a timestamp in the archive zone.
+     * @param {string|number|Date} ts
+     * @returns {string} HH:MM ('' when unparseable)
+     */
+    timeOf(ts) {
+        const date = ts instanceof Date ? ts : new Date(ts);
+        if (isNaN(date.getTime())) return '';
+        return this._timeFormat.format(date);
+    }
+
+    /**
+     * @returns {string} today's date in the archive zone
+     */
+    today() {
+        return this.dateOf(new Date());
+    }
+
+    /**
+     * The date n calendar days before today.
+     * @param {number} n
+     * @returns {string}
+     */
+    daysAgo(n) {
+        return DayClock.shiftDate(this.today(), -n);
+    }
+
+    /**
+     * Epoch milliseconds of local noon on a date — the midpoint used when
+     * only the day of something is known.
+     * @param {string} date - YYYY-MM-DD
+     * @returns {number} NaN for an invalid date
+     */
+    noonOf(date) {
+        const guess = Date.parse(`${date}T12:00:00Z`);
+        if (isNaN(guess)) return NaN;
+        // Shift by the zone's offset at that moment
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone, hourCycle: 'h23',
+                year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric'
+            }).formatToParts(new Date(guess)).map(p => [p.type, p.value])
+        );
+        const wall = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute);
+        return guess - (wall - guess);
+    }
+}
+
+module.exports = DayClock;
@@ -0,0 +1,206 @@
+/**
+ * Redactor — PII and secret scrubbing before text is persisted.
+ *
+ * Users paste API keys, passwords, emails and phone numbers into chat.
+ * Without redaction those land verbatim in the daily archive and in the
+ * embedding index, where they stay until retention prunes them. The
+ * Archiver and Indexer run every message through this stage first.
+ *
+ * Built-in detectors (applied in this order, so a card number is never
+ * half-eaten by the phone detector):
+ *   token      — sk-… / sk-ant-… / sk-proj-…, GitHub (ghp_…), Slack (xox…), Google (AIza…)
+ *   awsKey     — AKIA/ASIA access key ids, labelled aws_secret_access_key values
+ *   creditCard — 13–19 digits (spaces/dashes allowed), Luhn-checked
+ *   email      — local@domain.tld
+ *   phone      — 9–15 digits with separators, (area) or a +country code;
+ *                dates, times and IPv4 addresses are skipped
+ *
+ * Custom detectors come from config as { name, pattern, flags?, action? }.
+ *
+ * Actions per detector:
+ *   mask — replace with [REDACTED:name]
+ *   hash — replace with [name:<12 hex of sha256(salt + match)>]; the same
+ *          value always maps to the same token, so repeat mentions can
+ *          still be correlated without the value being stored
+ *   drop — remove the match entirely
+ *   off  — detector disabled
+ */
+
+const crypto = require('crypto');
+
+const ACTIONS = ['mask', 'hash', 'drop', 'off'];
+
+const BUILTIN_DETECTORS = [
+    {
+        name: 'token',
+        pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g
+    },
+    {
+        name: 'awsKey',
+        pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b|aws_secret_access_key\s*[=:]\s*["']?[A-Za-z0-9/+=]{40}["']?/gi
+    },
+    {
+        name: 'creditCard',
+        pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+        validate: match => _luhn(match.replace(/\D/g, ''))
+    },
+    {
+        name: 'email',
+        pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+    },
+    {
+        name: 'phone',
+        pattern: /(?<![\w+])\+?(?:\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]?\d{2,4}){1,3}(?!\w)/g,
+        validate: match => {
+            const digits = match.replace(/\D/g, '').length;
+            if (digits < 9 || digits > 15) return false;
+            // Dates/times and IPv4 addresses have the same shape
+            if (/^\d{4}-\d{2}-\d{2}/.test(match) || /^\d{1,3}(?:\.\d{1,3}){3}$/.test(match)) return false;
+            // A bare run of digits is an id or amount unless it carries a country code
+            return /\D/.test(match.replace(/^\+/, '')) || match.startsWith('+');
+        }
+    }
+];
+
+class Redactor {
+    /**
+     * @param {object} config - full plugin config (reads redaction section)
+     */
+    constructor(config = {}) {
+        const rc = config.redaction || {};
+        this.enabled = rc.enabled !== false;
+        this.hashSalt = rc.hashSalt || '';
+
+        const actions = rc.detectors || {};
+        this.detectors = [];
+
+        for (const detector of BUILTIN_DETECTORS) {
+            const action = _action(actions[detector.name], detector.name);
+            if (action !== 'off') this.detectors.push({ ...detector, action });
+        }
+
+        for (const custom of rc.custom || []) {
+            if (!custom?.name || !custom.pattern) {
+                console.warn('[Redactor] Ignoring custom detector without name/pattern');
+                continue;
+            }
+            let pattern;
+            try {
+                const flags = custom.flags || '';
+                pattern = new RegExp(custom.pattern, flags.includes('g') ? flags : flags + 'g');
+            } catch (err) {
+                console.warn(`[Redactor] Invalid pattern for custom detector "${custom.name}": ${err.message}`);
+                continue;
+            }
+            const action = _action(custom.action, custom.name);
+            if (action !== 'off') this.detectors.push({ name: custom.name, pattern, action });
+        }
+    }
+
+    /**
+     * Redact a single string.
+     *
+     * @param {string} text
+     * @returns {{ text: string, counts: object }} counts by detector name (only non-zero)
+     */
+    redact(text) {
+        const counts = {};
+        if (!this.enabled || !text || typeof text !== 'string') {
+            return { text, counts };
+        }
+
+        let result = text;
+        for (const detector of this.detectors) {
+            detector.pattern.lastIndex = 0;
+            result = result.replace(detector.pattern, match => {
+                if (detector.validate && !detector.validate(match)) return match;
+                counts[detector.name] = (counts[detector.name] || 0) + 1;
+                return this._replacement(detector, match);
+            });
+        }
+
+        return { text: result, counts };
+    }
+
+    /**
+     * Redact the text of archive-format messages ({ timestamp, sender, text }).
+     * Messages are copied, never mutated.
+     *
+     * @param {Array<object>} messages
+     * @returns {{ messages: Array<object>, counts: object }} counts summed over all messages
+     */
+    redactMessages(messages) {
+        const counts = {};
+        if (!this.enabled || !messages) return { messages, counts };
+
+        const redacted = messages.map(msg => {
+            const { text, counts: msgCounts } = this.redact(msg.text);
+            if (text === msg.text) return msg;
+            Redactor.addCounts(counts, msgCounts);
+            return { ...msg, text };
+        });
+
+        return { messages: redacted, counts };
+    }
+
+    /**
+     * Add one counts object into another (by detector name).
+     * @param {object} target - mutated
+     * @param {object} [source]
+     * @returns {object} target
+     */
+    static addCounts(target, source) {
+        for (const [name, n] of Object.entries(source || {})) {
+            target[name] = (target[name] || 0) + n;
+        }
+        return target;
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _replacement(detector, match) {
+        switch (detector.action) {
+            case 'drop':
+                return '';
+            case 'hash': {
+                const digest = crypto.createHash('sha256')
+                    .update(this.hashSalt + match)
+                    .digest('hex')
+                    .substring(0, 12);
+                return `[${detector.name}:${digest}]`;
+            }
+            default:
+                return `[REDACTED:${detector.name}]`;
+        }
+    }
+}
+
+function _action(value, name) {
+    if (value === undefined || value === null) return 'mask';
+    if (value === false) return 'off';
+    if (ACTIONS.includes(value)) return value;
+    console.warn(`[Redactor] Unknown action "${value}" for detector "${name}" — using mask`);
+    return 'mask';
+}
+
+function _luhn(digits) {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let d = digits.charCodeAt(i) - 48;
+        if (double) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+        double = !double;
+    }
+    return sum % 10 === 0;
+}
+
+Redactor.ACTIONS = ACTIONS;
+Redactor.DETECTORS = BUILTIN_DETECTORS.map(d => d.name);
+
+module.exports = Redactor;
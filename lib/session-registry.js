@@ -0,0 +1,239 @@
+/**
+ * SessionRegistry — Per-session continuity state.
+ *
+ * Each conversation session on the gateway gets its own TopicTracker,
+ * ContinuityAnchors, exchange counter and retrieval cache, so concurrent
+ * sessions never overwrite (or reset) each other's state.
+ *
+ * Sessions are keyed by the session key / id from the hook ctx or event.
+ * Idle sessions are evicted after session.idleTimeout, and the registry
+ * is capped at session.maxSessions (least recently active evicted first).
+ *
+ * With a SessionStore attached, a session seen for the first time is
+ * rehydrated from its last snapshot, gated by the session gaps:
+ *   gap < interruptedGap              → resumed seamlessly
+ *   interruptedGap ≤ gap < newSessionGap → resumed, flagged as interrupted
+ *   gap ≥ newSessionGap               → fresh state
+ * The conversation id and archived message ids carry over in every case:
+ * the transcript is the same. Only reset() (session_start) starts a new
+ * conversation under the same session key.
+ */
+
+const crypto = require('crypto');
+const TopicTracker = require('./topic-tracker');
+const ContinuityAnchors = require('./continuity-anchors');
+
+const DEFAULT_SESSION = 'default';
+
+class SessionRegistry {
+    /**
+     * @param {object} config - full plugin config (reads session section)
+     * @param {SessionStore} [store] - snapshot store for rehydration
+     */
+    constructor(config = {}, store = null) {
+        const sc = config.session || {};
+        this.config = config;
+        this.store = store;
+        this.idleTimeout = sc.idleTimeout || 21600000; // 6h
+        this.maxSessions = sc.maxSessions || 200;
+        this.interruptedGap = sc.interruptedGap || 7200000; // 2h
+        this.newSessionGap = sc.newSessionGap || 21600000; // 6h
+
+        // sessionId → session state. Map order doubles as LRU order.
+        this._sessions = new Map();
+    }
+
+    /**
+     * Resolve the session id for a hook invocation.
+     * @param {object} [ctx] - hook context
+     * @param {object} [event] - hook event (fallback source)
+     * @returns {string}
+     */
+    resolve(ctx = {}, event = {}) {
+        return ctx?.sessionKey || ctx?.sessionId ||
+               event?.sessionKey || event?.sessionId ||
+               DEFAULT_SESSION;
+    }
+
+    /**
+     * Get (or create) a session's state and mark it active.
+     * @param {string} sessionId
+     * @returns {object} session state
+     */
+    get(sessionId) {
+        const id = sessionId || DEFAULT_SESSION;
+        this.evictIdle();
+
+        let session = this._sessions.get(id);
+        if (session) {
+            // Move to the end of the Map — most recently active
+            this._sessions.delete(id);
+        } else {
+            session = this._create(id);
+            this._rehydrate(session);
+        }
+        session.lastActivity = Date.now();
+        this._sessions.set(id, session);
+
+        this._enforceLimit();
+        return session;
+    }
+
+    /**
+     * Get a session's state without creating it or marking it active.
+     * @param {string} sessionId
+     * @returns {object|null}
+     */
+    peek(sessionId) {
+        return this._sessions.get(sessionId || DEFAULT_SESSION) || null;
+    }
+
+    /**
+     * Get the most recently active session, if any.
+     * @returns {object|null}
+     */
+    latest() {
+        let last = null;
+        for (const session of this._sessions.values()) last = session;
+        return last;
+    }
+
+    /**
+     * Replace a session's state with a fresh one (e.g. on session_start).
+     * Any saved snapshot is discarded too.
+     * @param {string} sessionId
+     * @returns {object} the new session state
+     */
+    reset(sessionId) {
+        const id = sessionId || DEFAULT_SESSION;
+        this._sessions.delete(id);
+        if (this.store) this.store.delete(id);
+        return this.get(id);
+    }
+
+    /**
+     * Snapshot a session's state to the store (no-op without one).
+     * @param {object} session
+     * @returns {boolean}
+     */
+    save(session) {
+        if (!this.store || !session) return false;
+        return this.store.save(session);
+    }
+
+    /**
+     * Drop a session's state.
+     * @param {string} sessionId
+     * @returns {boolean} whether a session was removed
+     */
+    delete(sessionId) {
+        return this._sessions.delete(sessionId || DEFAULT_SESSION);
+    }
+
+    /**
+     * Remove sessions that have been idle longer than idleTimeout.
+     * @returns {number} sessions evicted
+     */
+    evictIdle() {
+        const cutoff = Date.now() - this.idleTimeout;
+        let evicted = 0;
+        for (const [id, session] of this._sessions) {
+            if (session.lastActivity < cutoff) {
+                this._sessions.delete(id);
+                evicted++;
+            }
+        }
+        return evicted;
+    }
+
+    /**
+     * All live sessions (least recently active first).
+     * @returns {object[]}
+     */
+    all() {
+        return [...this._sessions.values()];
+    }
+
+    /**
+     * Summaries of all live sessions for gateway inspection.
+     * @returns {Array<object>}
+     */
+    list() {
+        const now = Date.now();
+        return this.all().map(s => ({
+            sessionId: s.id,
+            namespace: s.namespace,
+            exchangeCount: s.exchangeCount,
+            startedAt: new Date(s.sessionStart).toISOString(),
+            lastActivity: new Date(s.lastActivity).toISOString(),
+            idleMs: now - s.lastActivity,
+            topicCount: s.topicTracker.getAllTopics().length,
+            anchorCount: s.anchors.getAnchors().length,
+            hasRetrievalCache: !!s.lastRetrievalCache,
+            resumed: s.resumed
+        }));
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _create(id) {
+        const now = Date.now();
+        return {
+            id,
+            namespace: null,
+            topicTracker: new TopicTracker(this.config),
+            anchors: new ContinuityAnchors(this.config),
+            sessionStart: now,
+            lastActivity: now,
+            exchangeCount: 0,
+            // Scopes transcript message ids: session keys are reused by
+            // later conversations (Archiver.archiveTranscript)
+            conversationId: `${id}#${crypto.randomBytes(6).toString('hex')}`,
+            // Transcript messages already archived, id → { hash, timestamp }
+            archivedIds: new Map(),
+            // Last archive retrieval, for tool_result_persist enrichment
+            lastRetrievalCache: null,
+            // { gapMs, interrupted } when rehydrated from a snapshot
+            resumed: null
+        };
+    }
+
+    /**
+     * Restore a new session from its snapshot if the gap allows it.
+     * @param {object} session - freshly created session state
+     */
+    _rehydrate(session) {
+        if (!this.store) return;
+        const snapshot = this.store.load(session.id);
+        if (!snapshot) return;
+
+        // The transcript is the same whatever the gap, so archived ids
+        // carry over even when the rest of the state starts fresh.
+        session.archivedIds = snapshot.archivedIds;
+        // Older snapshots have none: their ids were scoped by the session key
+        session.conversationId = snapshot.conversationId || session.id;
+
+        const gapMs = Date.now() - (snapshot.lastActivity || 0);
+        if (snapshot.trimmed || gapMs >= this.newSessionGap) return;
+
+        session.namespace = snapshot.namespace || null;
+        session.sessionStart = snapshot.sessionStart || session.sessionStart;
+        session.exchangeCount = snapshot.exchangeCount || 0;
+        session.topicTracker.restore(snapshot.topics);
+        session.anchors.restore(snapshot.anchors);
+        session.resumed = { gapMs, interrupted: gapMs >= this.interruptedGap };
+    }
+
+    _enforceLimit() {
+        while (this._sessions.size > this.maxSessions) {
+            const oldest = this._sessions.keys().next().value;
+            this._sessions.delete(oldest);
+        }
+    }
+}
+
+SessionRegistry.DEFAULT_SESSION = DEFAULT_SESSION;
+
+module.exports = SessionRegistry;
@@ -250,6 +250,35 @@ class TopicTracker {
         this._currentExchange = 0;
     }
 
+    /**
+     * Export topic state as a plain object (for session snapshots).
+     * @returns {{ currentExchange: number, topics: Array<[string, object]> }}
+     */
+    serialize() {
+        return {
+            currentExchange: this._currentExchange,
+            topics: [...this._topics].map(([topic, data]) => [topic, { ...data }])
+        };
+    }
+
+    /**
+     * Replace topic state with a snapshot from serialize().
+     * Topics older than pruneAge are dropped.
+     * @param {object} snapshot
+     */
+    restore(snapshot) {
+        this.reset();
+        if (!snapshot) return;
+
+        this._currentExchange = snapshot.currentExchange || 0;
+        const cutoff = Date.now() - this.pruneAge;
+        for (const [topic, data] of snapshot.topics || []) {
+            if (data && (data.lastTimestamp || 0) >= cutoff) {
+                this._topics.set(topic, { ...data });
+            }
+        }
+    }
+
     // ---------------------------------------------------------------
     // Internal
     // ---------------------------------------------------------------
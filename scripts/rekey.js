@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * rekey — Encryption key tooling for the continuity data directory.
+ *
+ * Usage:
+ *   node scripts/rekey.js generate
+ *   node scripts/rekey.js rotate --from <key> --to <key> [--data <dir>] [--config <file>]
+ *
+ * <key> is env:VAR, file:PATH or none (plaintext):
+ *   encrypt existing data   rotate --from none --to env:CONTINUITY_KEY
+ *   change keys             rotate --from file:old.key --to file:new.key
+ *   decrypt                 rotate --from env:CONTINUITY_KEY --to none
+ *
+ * Rewrites every archive day, the text columns of every continuity.db and
+ * the session snapshots, in the default and every other namespace.
+ * --config points at the plugin config (JSON) if it moves any of those
+ * directories. Stop the gateway first. An interrupted run can simply be
+ * repeated: values already under the new key are read with it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Cipher = require('../lib/cipher');
+const Archiver = require('../storage/archiver');
+const Indexer = require('../storage/indexer');
+const NamespaceRegistry = require('../storage/namespaces');
+const SessionStore = require('../storage/session-store');
+
+function main(argv) {
+    const [command, ...rest] = argv;
+    const args = _parseArgs(rest);
+
+    if (command === 'generate') {
+        console.log(Cipher.generateKey());
+        return 0;
+    }
+    if (command !== 'rotate' || !args.from || !args.to) {
+        console.error('Usage: rekey.js generate | rotate --from <env:VAR|file:PATH|none> --to <env:VAR|file:PATH|none> [--data <dir>] [--config <file>]');
+        return 2;
+    }
+
+    const from = _loadKey(args.from);
+    const to = _loadKey(args.to);
+    if (!from && !to) {
+        console.error('Nothing to do: --from and --to are both none');
+        return 2;
+    }
+
+    // Read with the new key as well as the old one, so a rerun after an
+    // interruption can read what the first run already rewrote
+    const reader = to ? new Cipher(to, from ? [from] : []) : new Cipher(from);
+    const writer = to ? new Cipher(to) : null;
+
+    const config = args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {};
+    const dataDir = path.resolve(args.data || path.join(__dirname, '..', 'data'));
+    const namespaces = new NamespaceRegistry({ ...config, encryption: { enabled: false } }, dataDir);
+    const errors = [];
+
+    console.log(`[Rekey] ${dataDir}: ${from ? Cipher.keyIdOf(from) : 'plaintext'} → ${writer ? writer.keyId : 'plaintext'}`);
+    for (const ns of namespaces.list()) {
+        const dir = namespaces.dataDirFor(ns);
+
+        const archive = new Archiver(config, dir, { cipher: reader }).rekey(writer);
+        errors.push(...archive.errors.map(e => `[${ns}] archive ${e}`));
+
+        let db = { exchanges: 0, chunks: 0 };
+        const dbPath = path.join(dir, config.embedding?.dbFile || 'continuity.db');
+        if (fs.existsSync(dbPath)) {
+            try {
+                db = Indexer.rekeyDatabase(dbPath, reader, writer);
+            } catch (err) {
+                errors.push(`[${ns}] ${dbPath}: ${err.message}`);
+            }
+        }
+        console.log(`[Rekey] ${ns}: ${archive.days} archive days, ${db.exchanges} exchanges, ${db.chunks} chunks`);
+    }
+
+    const sessions = new SessionStore(config, dataDir, { cipher: reader }).rekey(writer);
+    errors.push(...sessions.errors.map(e => `session ${e}`));
+    console.log(`[Rekey] ${sessions.snapshots} session snapshots`);
+
+    if (errors.length > 0) {
+        for (const err of errors) console.error(`[Rekey] ${err}`);
+        console.error('[Rekey] Finished with errors; fix them and run the same command again');
+        return 1;
+    }
+    console.log(`[Rekey] Done. ${writer ? `Start the gateway with encryption enabled and key ${writer.keyId}.` : 'Disable encryption in the plugin config.'}`);
+    return 0;
+}
+
+function _parseArgs(args) {
+    const out = {};
+    for (let i = 0; i < args.length; i++) {
+        const match = /^--(\w+)$/.exec(args[i]);
+        if (match) out[match[1]] = args[++i];
+    }
+    return out;
+}
+
+/**
+ * "env:VAR" | "file:PATH" | "none" → key buffer (null for none).
+ */
+function _loadKey(spec) {
+    if (spec === 'none') return null;
+    const [kind, ...value] = spec.split(':');
+    const source = value.join(':');
+    const key = kind === 'env' ? Cipher.loadKey({ keyEnv: source })
+        : kind === 'file' ? Cipher.loadKey({ keyFile: source })
+            : null;
+    if (!key) throw new Error(`No key found for "${spec}" (expected env:VAR, file:PATH or none)`);
+    return key;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+    console.error(`[Rekey] ${err.message}`);
+    process.exitCode = 1;
+}
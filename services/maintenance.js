@@ -1,31 +1,47 @@
 /**
  * MaintenanceService — Background batch indexing, pruning, and health reporting.
  *
- * Uses shared Archiver and Indexer instances from the main plugin register()
- * closure to avoid duplicate SQLite connections.
+ * Uses the shared NamespaceRegistry from the main plugin register()
+ * closure to avoid duplicate SQLite connections. Every known namespace
+ * is maintained in turn.
  *
  * Provides:
  * - Batch-index un-indexed archive dates into SQLite-vec
- * - Prune archives older than retention period
+ * - Drive blue/green re-indexing after an embedding model change
+ * - Expire days older than the retention period from the archive and
+ *   the index together (or cut them down to archive.tiering's summary
+ *   and important messages)
+ * - Compress archive days older than archive.compression.afterDays
+ * - Trim session snapshots too old to resume to their archived ids
+ * - Check archive and database integrity every integrity.intervalHours
+ *   (repairing only with integrity.repair)
  * - Report continuity health metrics
  * - Periodic re-indexing via startInterval()
  */
 
+const Redactor = require('../lib/redactor');
+const IntegrityChecker = require('../storage/integrity-checker');
+const RetentionPolicy = require('../storage/retention');
+
 class MaintenanceService {
     /**
      * @param {object} config - full plugin config
-     * @param {object} archiver - shared Archiver instance
-     * @param {object} indexer - shared Indexer instance (already initialized)
+     * @param {NamespaceRegistry} namespaces - shared namespace registry
+     * @param {SessionStore} [sessionStore] - session snapshot store to prune
      */
-    constructor(config = {}, archiver, indexer) {
+    constructor(config = {}, namespaces, sessionStore = null) {
         this.config = config;
-        this.archiver = archiver;
-        this.indexer = indexer;
+        this.namespaces = namespaces;
+        this.sessionStore = sessionStore;
         this.batchDelay = config.archive?.batchIndexDelay || 100;
+        const ic = config.integrity || {};
+        this.integrityIntervalMs = (ic.intervalHours ?? 24) * 60 * 60 * 1000;
+        this.integrityRepair = ic.repair === true;
 
         this._lastRun = null;
         this._runCount = 0;
         this._interval = null;
+        this._lastIntegrityCheck = null;
     }
 
     /**
@@ -40,54 +56,66 @@ class MaintenanceService {
             timestamp: this._lastRun.toISOString(),
             runNumber: this._runCount,
             indexed: 0,
+            embedded: 0,
+            skipped: 0,
+            removed: 0,
             pruned: 0,
+            tiered: 0,
+            expiredExchanges: 0,
+            compressed: 0,
+            bytesSaved: 0,
+            prunedSnapshots: 0,
+            integrityProblems: 0,
             archiveStats: null,
+            namespaces: {},
             errors: []
         };
 
-        // 1. Batch-index un-indexed dates
-        try {
-            const indexedDates = this.indexer.getIndexedDates();
-            const unindexed = this.archiver.getUnindexedDates(indexedDates);
-
-            for (const date of unindexed) {
-                const conversation = this.archiver.getConversation(date);
-                if (conversation && conversation.messages) {
-                    const result = await this.indexer.indexDay(date, conversation.messages);
-                    report.indexed += result.indexed;
+        let exchangeCount = 0;
+        const allStats = [];
+        const checkIntegrity = this.integrityIntervalMs > 0 &&
+            (!this._lastIntegrityCheck || this._lastRun - this._lastIntegrityCheck >= this.integrityIntervalMs);
+        if (checkIntegrity) this._lastIntegrityCheck = this._lastRun;
 
-                    if (this.batchDelay > 0) {
-                        await _sleep(this.batchDelay);
-                    }
-                }
-            }
-        } catch (err) {
-            report.errors.push(`Batch index: ${err.message}`);
+        for (const ns of this.namespaces.list()) {
+            const nsReport = await this._executeNamespace(ns, report.errors, checkIntegrity);
+            report.namespaces[ns] = nsReport;
+            report.indexed += nsReport.indexed;
+            report.embedded += nsReport.embedded;
+            report.skipped += nsReport.skipped;
+            report.removed += nsReport.removed;
+            report.pruned += nsReport.pruned;
+            report.tiered += nsReport.tiered;
+            report.expiredExchanges += nsReport.expiredExchanges;
+            report.compressed += nsReport.compressed;
+            report.bytesSaved += nsReport.bytesSaved;
+            report.integrityProblems += nsReport.integrity?.problems || 0;
+            exchangeCount += nsReport.exchangeCount;
+            if (nsReport.archiveStats) allStats.push(nsReport.archiveStats);
         }
 
-        // 2. Prune old archives
-        try {
-            const pruneResult = this.archiver.pruneOld();
-            report.pruned = pruneResult.removed;
-        } catch (err) {
-            report.errors.push(`Prune: ${err.message}`);
-        }
+        report.archiveStats = _mergeStats(allStats);
 
-        // 3. Archive stats
-        try {
-            report.archiveStats = this.archiver.getStats();
-        } catch (err) {
-            report.errors.push(`Stats: ${err.message}`);
+        // Trim session snapshots past the new-session gap, drop expired ones
+        if (this.sessionStore) {
+            try {
+                report.prunedSnapshots = this.sessionStore.pruneStale().removed;
+            } catch (err) {
+                report.errors.push(`Session snapshots: ${err.message}`);
+            }
         }
 
-        // 4. Log health
-        const exchangeCount = this.indexer.getExchangeCount();
+        // Log health
         if (report.errors.length === 0) {
             console.log(
                 `[Continuity Maintenance] Run #${this._runCount} — ` +
-                `indexed: ${report.indexed}, pruned: ${report.pruned}, ` +
+                `indexed: ${report.indexed} (embedded ${report.embedded}, skipped ${report.skipped}, removed ${report.removed}), ` +
+                `pruned: ${report.pruned} (tiered ${report.tiered}, ${report.expiredExchanges} indexed records), ` +
+                `compressed: ${report.compressed} (saved ${_formatBytes(report.bytesSaved)}), ` +
+                (checkIntegrity ? `integrity problems: ${report.integrityProblems}, ` : '') +
                 `total exchanges: ${exchangeCount}, ` +
-                `archive sessions: ${report.archiveStats?.totalSessions || 0}`
+                `archive sessions: ${report.archiveStats?.totalSessions || 0}, ` +
+                `namespaces: ${Object.keys(report.namespaces).length}`
             );
         } else {
             console.warn(
@@ -129,13 +157,158 @@ class MaintenanceService {
      * @returns {object}
      */
     getStatus() {
+        let exchangeCount = 0;
+        for (const ns of this.namespaces.list()) {
+            const stores = this.namespaces.peekStores(ns);
+            if (stores) exchangeCount += stores.indexer.getExchangeCount();
+        }
         return {
             lastRun: this._lastRun?.toISOString() || null,
             runCount: this._runCount,
-            exchangeCount: this.indexer ? this.indexer.getExchangeCount() : 0,
+            exchangeCount,
             intervalActive: !!this._interval
         };
     }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    /**
+     * Run one maintenance cycle for a single namespace.
+     * Errors are prefixed with the namespace and collected into `errors`.
+     *
+     * @param {string} ns
+     * @param {string[]} errors
+     * @param {boolean} [checkIntegrity] - run the integrity check this cycle
+     * @returns {Promise<object>} per-namespace report
+     */
+    async _executeNamespace(ns, errors, checkIntegrity = false) {
+        const nsReport = {
+            indexed: 0, embedded: 0, skipped: 0, removed: 0,
+            pruned: 0, tiered: 0, expiredExchanges: 0, compressed: 0, bytesSaved: 0,
+            exchangeCount: 0, reindex: null, integrity: null, archiveStats: null
+        };
+        const { archiver, indexer } = await this.namespaces.getStores(ns);
+
+        // 1. Batch-index un-indexed dates
+        if (indexer) {
+            try {
+                const indexedDates = indexer.getIndexedDates();
+                const unindexed = archiver.getUnindexedDates(indexedDates);
+
+                for (const date of unindexed) {
+                    const conversation = archiver.getConversation(date);
+                    if (conversation && conversation.messages) {
+                        const result = await indexer.indexDay(date, conversation.messages);
+                        nsReport.indexed += result.indexed;
+                        nsReport.embedded += result.embedded;
+                        nsReport.skipped += result.skipped;
+                        nsReport.removed += result.removed;
+
+                        if (this.batchDelay > 0) {
+                            await _sleep(this.batchDelay);
+                        }
+                    }
+                }
+            } catch (err) {
+                errors.push(`[${ns}] Batch index: ${err.message}`);
+            }
+            nsReport.exchangeCount = indexer.getExchangeCount();
+
+            // 1b. Embedding model changed — keep the background re-index going
+            try {
+                const { building } = indexer.getReindexStatus();
+                if (building) {
+                    indexer.startReindex();
+                    nsReport.reindex = building;
+                }
+            } catch (err) {
+                errors.push(`[${ns}] Re-index: ${err.message}`);
+            }
+        } else {
+            errors.push(`[${ns}] Batch index: storage not available`);
+        }
+
+        // 2. Expire old days from the archive and the index
+        try {
+            const retention = await new RetentionPolicy(this.config, archiver, indexer).apply();
+            nsReport.pruned = retention.removed;
+            nsReport.tiered = retention.tiered;
+            nsReport.expiredExchanges = retention.exchanges;
+            for (const err of retention.errors) errors.push(`[${ns}] Retention: ${err}`);
+        } catch (err) {
+            errors.push(`[${ns}] Retention: ${err.message}`);
+        }
+
+        // 2b. Compress older days
+        try {
+            const compressResult = archiver.compressOld();
+            nsReport.compressed = compressResult.compressed;
+            nsReport.bytesSaved = compressResult.bytesSaved;
+        } catch (err) {
+            errors.push(`[${ns}] Compress: ${err.message}`);
+        }
+
+        // 3. Integrity check — after retention, so days expired this
+        // cycle are already gone from both stores
+        if (checkIntegrity) {
+            try {
+                const checker = new IntegrityChecker(this.config, archiver, indexer, {
+                    quarantineDir: IntegrityChecker.quarantineDirFor(this.namespaces.dataDirFor(ns))
+                });
+                nsReport.integrity = await checker.check({ repair: this.integrityRepair });
+                for (const err of nsReport.integrity.errors) errors.push(`[${ns}] Integrity: ${err}`);
+                if (nsReport.integrity.problems > 0) {
+                    console.warn(`[Continuity Maintenance] ${ns}: ${nsReport.integrity.problems} integrity problem(s)` +
+                        (this.integrityRepair ? ', repaired' : '; run continuity.fsck with repair to fix'));
+                }
+            } catch (err) {
+                errors.push(`[${ns}] Integrity: ${err.message}`);
+            }
+        }
+
+        // 4. Archive stats
+        try {
+            nsReport.archiveStats = archiver.getStats();
+        } catch (err) {
+            errors.push(`[${ns}] Stats: ${err.message}`);
+        }
+
+        return nsReport;
+    }
+}
+
+/**
+ * Combine per-namespace archive stats into one summary.
+ */
+function _mergeStats(statsList) {
+    const merged = {
+        totalSessions: 0,
+        totalMessages: 0,
+        toolCalls: 0,
+        compressedDays: 0,
+        dateRange: { first: null, last: null },
+        redactions: { total: 0, byDetector: {} }
+    };
+    for (const stats of statsList) {
+        merged.totalSessions += stats.totalSessions || 0;
+        merged.totalMessages += stats.totalMessages || 0;
+        merged.toolCalls += stats.toolCalls || 0;
+        merged.compressedDays += stats.compressedDays || 0;
+        merged.redactions.total += stats.redactions?.total || 0;
+        Redactor.addCounts(merged.redactions.byDetector, stats.redactions?.byDetector);
+        const { first, last } = stats.dateRange || {};
+        if (first && (!merged.dateRange.first || first < merged.dateRange.first)) merged.dateRange.first = first;
+        if (last && (!merged.dateRange.last || last > merged.dateRange.last)) merged.dateRange.last = last;
+    }
+    return merged;
+}
+
+function _formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
 function _sleep(ms) {
@@ -4,111 +4,297 @@
  * Extracted from Clint's conversationArchiver.js (268 lines).
  * 100% portable per PDR — no Clint-coupled dependencies.
  *
- * Stores conversations as daily JSON files:
- *   {dataDir}/archive/{YYYY-MM-DD}.json
+ * Stores conversations as daily append-only JSONL files:
+ *   {dataDir}/archive/{YYYY-MM-DD}.jsonl
+ *
+ * One JSON record per line. New messages are appended with a single
+ * fsync'd write; rewrites (forgetting, migration) go to a temp file that
+ * is renamed into place. A crash can therefore only tear the last line,
+ * which the reader skips and the next append truncates. A line without
+ * a `sender` holds day metadata (the redaction tally kept when a day is
+ * rewritten). Day files in the old single-document `{date}.json` format
+ * are converted once on startup.
+ *
+ * A day is a calendar day in archive.timezone (lib/day-clock.js). The
+ * zone the files were bucketed in is recorded in a `.timezone` marker;
+ * when the configured zone differs, the days are re-bucketed on startup.
+ *
+ * Days older than archive.compression.afterDays are compressed by the
+ * maintenance service to `{date}.jsonl.gz` (or `.jsonl.br`). Readers
+ * handle both forms; a plain file, when present, is always the current
+ * one. Archiving into a compressed day expands it back first.
+ *
+ * With encryption enabled (lib/cipher.js) every line is encrypted on
+ * its own, so appends and torn-line recovery work as before; compressed
+ * days are compressed first and then encrypted as a whole. A
+ * `.encryption` marker in the archive directory records the key id, so
+ * opening the archive with another key, or none, fails loudly.
+ * Lines written before encryption was enabled stay plaintext until
+ * scripts/rekey.js rewrites them.
  *
  * Each file contains timestamped, deduplicated message exchanges.
- * Deduplication key: `${timestamp}_${sender}` prevents double-archiving.
+ * Messages archived from a session transcript carry a stable `id` and
+ * are deduplicated by it. A message without one is a duplicate when
+ * the same sender sent the same text within archive.dedupWindowSeconds
+ * — a retried message without a timestamp gets a new one each time, and
+ * two different messages can share a millisecond. Tool records key on
+ * timestamp, tool name and call id. The same message can reach the
+ * archive under two ids — once from an import (storage/importer.js),
+ * once from the live transcript — so a message whose timestamp, sender
+ * and text match an existing record is skipped as well.
+ *
+ * A message whose id is already archived but whose text changed is an
+ * edit: it is appended as a new record with the same id, a `revision`
+ * number and `editedAt`. Readers collapse the records of an id into the
+ * latest text, with the earlier versions in `revisions`.
+ *
+ * Message text passes through the Redactor before it is written; each
+ * record keeps its `redactions` counts (detector → count), summed per
+ * day for stats.
+ *
+ * Tool calls (archive.tools) are stored in the same day files as
+ * `sender: 'tool'` records: tool name, redacted and trimmed parameters,
+ * and a digest of the result in `text`. The indexer turns them into
+ * their own searchable record type.
+ *
+ * Days older than archive.retentionDays are deleted, unless
+ * archive.tiering keeps part of them: messages flagged `important`
+ * (markImportant) and/or a `sender: 'summary'` record listing what the
+ * user brought up that day. The day file is then rewritten to just
+ * those. A day holding nothing else is already tiered and left alone.
  */
 
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const Redactor = require('../lib/redactor');
+const Cipher = require('../lib/cipher');
+const DayClock = require('../lib/day-clock');
+
+const DIGEST_MODES = ['head', 'headTail', 'none'];
+const DEFAULT_TOOL_EXCLUDE = ['memory_search', 'memory_get', 'continuity_forget'];
+const DAY_KEY_CACHE = 4;
+
+// Compressed day file formats (archive.compression.algorithm)
+const CODECS = {
+    gzip: { ext: '.gz', compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+    brotli: {
+        ext: '.br',
+        compress: data => zlib.brotliCompressSync(data, {
+            params: { [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT }
+        }),
+        decompress: zlib.brotliDecompressSync
+    }
+};
+const ENCRYPTION_MARKER = '.encryption';
+const TIMEZONE_MARKER = '.timezone';
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl(?:\.gz|\.br)?$/;
 
 class Archiver {
     /**
      * @param {object} config - full plugin config (reads archive section)
      * @param {string} dataDir - plugin data directory
+     * @param {object} [options]
+     * @param {Cipher|null} [options.cipher] - encrypts day files when set
      */
-    constructor(config = {}, dataDir) {
+    constructor(config = {}, dataDir, options = {}) {
         const ac = config.archive || {};
         this.archiveDir = path.join(dataDir, ac.archiveDir || 'archive');
         this.retentionDays = ac.retentionDays || 90;
+        this.dedupWindowMs = (ac.dedupWindowSeconds ?? 60) * 1000;
+        this.redactor = new Redactor(config);
+        this.cipher = options.cipher || null;
+        this.clock = new DayClock(config);
+
+        const tc = ac.tools || {};
+        this.tools = {
+            enabled: tc.enabled !== false,
+            // Tools whose calls are never archived — memory lookups would
+            // archive the archive, and forget requests contain what is
+            // being forgotten
+            exclude: new Set(tc.exclude || DEFAULT_TOOL_EXCLUDE),
+            digest: DIGEST_MODES.includes(tc.digest) ? tc.digest : 'headTail',
+            digestChars: tc.digestChars ?? 1000,
+            paramChars: tc.paramChars ?? 300
+        };
+
+        const tier = ac.tiering || {};
+        this.tiering = {
+            summary: tier.summary === true,
+            important: tier.important === true,
+            summaryLines: tier.summaryLines ?? 12
+        };
+
+        const cc = ac.compression || {};
+        this.compression = {
+            enabled: cc.enabled !== false,
+            afterDays: Math.max(1, cc.afterDays ?? 7),
+            algorithm: CODECS[cc.algorithm] ? cc.algorithm : 'gzip'
+        };
+
+        // Dedup keys of recently appended days, valid while the file
+        // size is unchanged (date → { size, dedupKeys, legacyKeys, ids, texts })
+        this._dayKeys = new Map();
+
+        // A re-bucketing swap may have been cut short between its renames
+        this._finishRebucket();
 
         // Ensure archive directory
         if (!fs.existsSync(this.archiveDir)) {
             fs.mkdirSync(this.archiveDir, { recursive: true });
         }
+
+        this._checkEncryption();
+        this._migrateLegacyFiles();
+        this._migrateTimezone();
     }
 
     /**
-     * Archive messages — group by date, deduplicate, write.
+     * Archive messages — redact, group by date, deduplicate, write.
+     * A message whose id is archived with different text is recorded as
+     * an edit.
      *
      * @param {Array} messages - conversation messages
-     * @returns {{ archived: number, dates: string[] }}
+     * @returns {{ archived: number, edited: number, dates: string[], redactions: object }}
      */
     archive(messages) {
         if (!messages || messages.length === 0) {
-            return { archived: 0, dates: [] };
+            return { archived: 0, edited: 0, dates: [], redactions: {} };
         }
 
         // Normalize messages to archivable format
         const normalized = messages
             .filter(m => m.role === 'user' || m.role === 'assistant')
             .map(m => ({
+                ...(m.id ? { id: String(m.id) } : {}),
                 timestamp: this._normalizeTimestamp(m.timestamp),
                 sender: m.role === 'user' ? 'user' : 'agent',
                 text: this._extractText(m)
-            }));
+            }))
+            .map(m => {
+                const { text, counts } = this.redactor.redact(m.text);
+                return { ...m, text, redactions: counts };
+            });
 
-        // Group by date
-        const byDate = new Map();
-        for (const msg of normalized) {
-            const date = msg.timestamp.substring(0, 10); // YYYY-MM-DD
-            if (!byDate.has(date)) byDate.set(date, []);
-            byDate.get(date).push(msg);
-        }
+        return this._archiveNormalized(normalized);
+    }
 
-        let totalArchived = 0;
-        const dates = [];
+    /**
+     * Archive every message of a session transcript not archived before.
+     *
+     * Each user/assistant message gets a stable id derived from the
+     * conversation and the message's own id, or — when it has none — from
+     * its role, text and timestamp, or for a message without a timestamp
+     * how many identical messages precede it. The conversation id, not
+     * the session key, scopes the ids: a key is reused when a new
+     * conversation starts, and a line repeated there is a new message.
+     * Timestamps keep ids stable when compaction trims the transcript. `archivedIds`
+     * maps the ids already archived for the session to a hash of their
+     * text and their timestamp, and is updated in place, so a transcript
+     * passed in full every turn only adds its new messages — and a
+     * message whose text changed under the same id is archived as an edit,
+     * at its original timestamp. Messages without text (e.g.
+     * tool-call-only assistant messages) are skipped; messages without a
+     * timestamp get the current time, in transcript order.
+     *
+     * @param {string} conversationId - the conversation the transcript belongs to
+     *        (SessionRegistry session.conversationId)
+     * @param {Array} messages - the session transcript (event.messages)
+     * @param {Map<string, { hash: string|null, timestamp: string|null }>} archivedIds - messages archived
+     *        earlier for this session (hash null: archived, text unknown)
+     * @returns {{ archived: number, edited: number, dates: string[], redactions: object, ids: string[] }}
+     */
+    archiveTranscript(conversationId, messages, archivedIds) {
+        const occurrences = new Map();
+        const fresh = [];
+        const now = Date.now();
 
-        for (const [date, dayMessages] of byDate) {
-            const filePath = path.join(this.archiveDir, `${date}.json`);
-            let existing = { date, messageCount: 0, messages: [] };
-
-            // Load existing archive for this date
-            if (fs.existsSync(filePath)) {
-                try {
-                    existing = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                } catch (err) {
-                    console.warn(`[Archiver] Failed to read ${filePath}:`, err.message);
-                }
-            }
+        for (const m of messages || []) {
+            if (m?.role !== 'user' && m?.role !== 'assistant') continue;
+            const text = this._extractText(m);
+            if (!text.trim()) continue;
 
-            // Build dedup set from existing messages
-            const dedupKeys = new Set(
-                existing.messages.map(m => `${m.timestamp}_${m.sender}`)
-            );
-
-            // Add new messages that don't already exist
-            let added = 0;
-            for (const msg of dayMessages) {
-                const key = `${msg.timestamp}_${msg.sender}`;
-                if (!dedupKeys.has(key)) {
-                    existing.messages.push(msg);
-                    dedupKeys.add(key);
-                    added++;
-                }
+            let basis = m.id;
+            if (!basis && m.timestamp) {
+                basis = `${m.role}\0${text}\0@${this._normalizeTimestamp(m.timestamp)}`;
+            } else if (!basis) {
+                const key = `${m.role}\0${text}`;
+                const n = occurrences.get(key) || 0;
+                occurrences.set(key, n + 1);
+                basis = `${key}\0${n}`;
             }
+            const id = Archiver.messageId(conversationId, basis);
+            const hash = _textHash(text);
+            const known = archivedIds.get(id);
+            if (known && (!known.hash || known.hash === hash)) continue;
 
-            if (added > 0) {
-                // Sort by timestamp
-                existing.messages.sort((a, b) =>
-                    new Date(a.timestamp) - new Date(b.timestamp)
-                );
-                existing.messageCount = existing.messages.length;
-
-                // Write
-                try {
-                    fs.writeFileSync(filePath, JSON.stringify(existing, null, 2), 'utf8');
-                    totalArchived += added;
-                    dates.push(date);
-                } catch (err) {
-                    console.error(`[Archiver] Failed to write ${filePath}:`, err.message);
-                }
-            }
+            fresh.push({
+                ...m,
+                id,
+                content: text,
+                timestamp: this._normalizeTimestamp(m.timestamp || known?.timestamp || now + fresh.length),
+                hash
+            });
         }
 
-        return { archived: totalArchived, dates };
+        const result = this.archive(fresh);
+        for (const { id, hash, timestamp } of fresh) {
+            // Most recently archived last, so the oldest are dropped first
+            archivedIds.delete(id);
+            archivedIds.set(id, { hash, timestamp });
+        }
+        return { ...result, ids: fresh.map(m => m.id) };
+    }
+
+    /**
+     * Stable archive id for a conversation message.
+     * @param {string} conversationId
+     * @param {string} basis - the message's own id, or role + text + timestamp / occurrence
+     * @returns {string}
+     */
+    static messageId(conversationId, basis) {
+        const digest = crypto.createHash('sha256').update(`${conversationId}\0${basis}`).digest('hex');
+        return `msg_${digest.substring(0, 16)}`;
+    }
+
+    /**
+     * Archive one tool call as a `sender: 'tool'` record.
+     *
+     * @param {object} call
+     * @param {string} call.tool - tool name
+     * @param {object} [call.params] - call parameters
+     * @param {string} [call.resultText] - result as text (digested per archive.tools.digest)
+     * @param {string} [call.error] - error message, if the call failed
+     * @param {number} [call.durationMs]
+     * @param {string} [call.callId] - tool call id, used for deduplication
+     * @param {string|number|Date} [call.timestamp] - defaults to now
+     * @returns {{ archived: number, dates: string[], redactions: object }}
+     */
+    archiveToolCall(call) {
+        if (!this.tools.enabled || !call?.tool || this.tools.exclude.has(call.tool)) {
+            return { archived: 0, dates: [], redactions: {} };
+        }
+
+        const redactions = {};
+        const redact = text => {
+            const result = this.redactor.redact(text);
+            Redactor.addCounts(redactions, result.counts);
+            return result.text;
+        };
+
+        const record = {
+            timestamp: this._normalizeTimestamp(call.timestamp),
+            sender: 'tool',
+            tool: call.tool,
+            params: _mapStrings(call.params || {}, v => redact(_clip(v, this.tools.paramChars))),
+            text: redact(this._digest(call.resultText || ''))
+        };
+        if (call.callId) record.callId = String(call.callId);
+        if (call.error) record.error = redact(_clip(String(call.error), this.tools.paramChars));
+        if (typeof call.durationMs === 'number') record.durationMs = call.durationMs;
+
+        return this._archiveNormalized([{ ...record, redactions }]);
     }
 
     /**
@@ -153,14 +339,68 @@ class Archiver {
      * @returns {object|null}
      */
     getConversation(date) {
-        const filePath = path.join(this.archiveDir, `${date}.json`);
-        if (!fs.existsSync(filePath)) return null;
-        try {
-            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        } catch (err) {
-            console.warn(`[Archiver] Failed to read ${filePath}:`, err.message);
-            return null;
+        const day = this._readDay(date);
+        if (!day) return null;
+        return {
+            date,
+            messageCount: day.messages.length,
+            messages: day.messages,
+            redactions: day.redactions
+        };
+    }
+
+    /**
+     * Remove messages from a day's archive.
+     * The day file is rewritten, or deleted if no messages remain.
+     *
+     * @param {string} date - YYYY-MM-DD
+     * @param {function(object): boolean} shouldRemove - predicate per message
+     * @returns {{ removed: object[], remaining: object[] }}
+     */
+    removeMessages(date, shouldRemove) {
+        const conversation = this.getConversation(date);
+        if (!conversation) return { removed: [], remaining: [] };
+
+        const removed = [];
+        const remaining = [];
+        for (const msg of conversation.messages) {
+            (shouldRemove(msg) ? removed : remaining).push(msg);
+        }
+        if (removed.length === 0) return { removed, remaining };
+
+        this._dayKeys.delete(date);
+        if (remaining.length === 0) {
+            this._deleteDay(date);
+        } else {
+            this._rewriteDay(date, remaining, conversation.redactions);
         }
+
+        return { removed, remaining };
+    }
+
+    /**
+     * Set or clear the `important` flag on messages of a day. Important
+     * messages outlive retention when archive.tiering.important is on.
+     *
+     * @param {string} date - YYYY-MM-DD
+     * @param {function(object): boolean} shouldMark - predicate per message
+     * @param {boolean} [important]
+     * @returns {{ marked: number }} messages whose flag changed
+     */
+    markImportant(date, shouldMark, important = true) {
+        const conversation = this.getConversation(date);
+        if (!conversation) return { marked: 0 };
+
+        let marked = 0;
+        const messages = conversation.messages.map(msg => {
+            if (!shouldMark(msg) || !!msg.important === important) return msg;
+            marked++;
+            if (important) return { ...msg, important: true };
+            const { important: _flag, ...rest } = msg;
+            return rest;
+        });
+        if (marked > 0) this._rewriteDay(date, messages, conversation.redactions);
+        return { marked };
     }
 
     /**
@@ -169,10 +409,12 @@ class Archiver {
      */
     getDates() {
         try {
-            return fs.readdirSync(this.archiveDir)
-                .filter(f => f.endsWith('.json'))
-                .map(f => f.replace('.json', ''))
-                .sort();
+            const dates = new Set();
+            for (const file of fs.readdirSync(this.archiveDir)) {
+                const match = DAY_FILE.exec(file);
+                if (match) dates.add(match[1]);
+            }
+            return [...dates].sort();
         } catch (err) {
             return [];
         }
@@ -180,25 +422,44 @@ class Archiver {
 
     /**
      * Get archive statistics.
-     * @returns {{ totalSessions: number, totalMessages: number, dateRange: { first: string, last: string } }}
+     * @returns {{ totalSessions: number, totalMessages: number, toolCalls: number, compressedDays: number, dateRange: { first: string, last: string }, redactions: { total: number, byDetector: object } }}
      */
     getStats() {
         const dates = this.getDates();
         if (dates.length === 0) {
-            return { totalSessions: 0, totalMessages: 0, dateRange: { first: null, last: null } };
+            return {
+                totalSessions: 0,
+                totalMessages: 0,
+                toolCalls: 0,
+                compressedDays: 0,
+                dateRange: { first: null, last: null },
+                redactions: { total: 0, byDetector: {} }
+            };
         }
 
         let totalMessages = 0;
+        let toolCalls = 0;
+        let compressedDays = 0;
+        const byDetector = {};
         for (const date of dates) {
+            if (this._locateDay(date)?.codec) compressedDays++;
             const conversation = this.getConversation(date);
             if (conversation) {
                 totalMessages += conversation.messageCount || 0;
+                toolCalls += conversation.messages.filter(m => m.sender === 'tool').length;
+                Redactor.addCounts(byDetector, conversation.redactions);
             }
         }
 
         return {
             totalSessions: dates.length,
             totalMessages,
+            toolCalls,
+            compressedDays,
+            redactions: {
+                total: Object.values(byDetector).reduce((sum, n) => sum + n, 0),
+                byDetector
+            },
             dateRange: {
                 first: dates[0],
                 last: dates[dates.length - 1]
@@ -219,36 +480,803 @@ class Archiver {
     }
 
     /**
-     * Remove archive files older than retention period.
-     * @returns {{ removed: number }}
+     * Apply the retention period: delete days older than retentionDays,
+     * or with archive.tiering, cut them down to their important messages
+     * and a summary. The removed and tiered dates are returned so the
+     * caller can update the index.
+     * @returns {{ removed: number, tiered: number, removedDates: string[], tieredDates: string[] }}
      */
     pruneOld() {
-        const cutoff = new Date();
-        cutoff.setDate(cutoff.getDate() - this.retentionDays);
-        const cutoffStr = cutoff.toISOString().substring(0, 10);
+        const cutoffStr = this.retentionCutoff();
+        const tiering = this.tiering.summary || this.tiering.important;
 
-        const dates = this.getDates();
-        let removed = 0;
+        const removedDates = [];
+        const tieredDates = [];
+        for (const date of this.getDates()) {
+            if (date >= cutoffStr) continue;
+            try {
+                if (!tiering) {
+                    this._deleteDay(date);
+                    removedDates.push(date);
+                    continue;
+                }
+                const tiered = this._tierDay(date);
+                if (tiered === 'removed') removedDates.push(date);
+                else if (tiered === 'tiered') tieredDates.push(date);
+            } catch (err) {
+                console.warn(`[Archiver] Failed to prune archive day ${date}:`, err.message);
+            }
+        }
 
-        for (const date of dates) {
-            if (date < cutoffStr) {
-                const filePath = path.join(this.archiveDir, `${date}.json`);
-                try {
-                    fs.unlinkSync(filePath);
-                    removed++;
-                } catch (err) {
-                    console.warn(`[Archiver] Failed to remove ${filePath}:`, err.message);
+        return { removed: removedDates.length, tiered: tieredDates.length, removedDates, tieredDates };
+    }
+
+    /**
+     * Earliest date retention keeps in full.
+     * @returns {string} YYYY-MM-DD
+     */
+    retentionCutoff() {
+        return this.clock.daysAgo(this.retentionDays);
+    }
+
+    /**
+     * Compress day files older than archive.compression.afterDays.
+     * @returns {{ compressed: number, bytesBefore: number, bytesAfter: number, bytesSaved: number }}
+     */
+    compressOld() {
+        const report = { compressed: 0, bytesBefore: 0, bytesAfter: 0, bytesSaved: 0 };
+        if (!this.compression.enabled) return report;
+
+        const cutoffStr = this.clock.daysAgo(this.compression.afterDays);
+        const codec = CODECS[this.compression.algorithm];
+
+        for (const date of this.getDates()) {
+            if (date >= cutoffStr) continue;
+            const plainPath = this._dayPath(date);
+            if (!fs.existsSync(plainPath)) continue;
+            try {
+                const day = this._readRecords(date);
+                if (!day || day.bad > 0) {
+                    console.warn(`[Archiver] Not compressing ${plainPath}: it has unreadable lines`);
+                    continue;
                 }
+                const size = fs.statSync(plainPath).size;
+                // Compress the plaintext, then encrypt the whole file
+                let packed = codec.compress(Buffer.from(day.records.map(r => JSON.stringify(r)).join('\n') + '\n'));
+                if (this.cipher) packed = this.cipher.seal(packed);
+                _writeAtomic(plainPath + codec.ext, packed);
+                for (const other of Object.values(CODECS)) {
+                    if (other !== codec) _unlinkIfExists(plainPath + other.ext);
+                }
+                fs.unlinkSync(plainPath);
+                this._dayKeys.delete(date);
+                report.compressed++;
+                report.bytesBefore += size;
+                report.bytesAfter += packed.length;
+            } catch (err) {
+                console.warn(`[Archiver] Failed to compress ${plainPath}:`, err.message);
             }
         }
 
-        return { removed };
+        report.bytesSaved = report.bytesBefore - report.bytesAfter;
+        return report;
+    }
+
+    /**
+     * Check every file in the archive directory. A day file must decrypt
+     * and decompress, and every line but a torn last one must parse. A
+     * day with more than one file (plain and compressed) reads the plain
+     * one; the others are shadowed. Anything else besides the markers is
+     * stray: leftover temp files, old-format days that failed to convert.
+     *
+     * With repair, unreadable, shadowed and stray files are moved to
+     * quarantineDir, and a day with bad lines is copied there and then
+     * rewritten without them. A missing or different encryption key
+     * throws instead — that is not the files' fault.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.repair]
+     * @param {string} [options.quarantineDir] - required with repair
+     * @returns {{ files: number, days: number, unreadable: object[], badLines: object[],
+     *            shadowed: string[], stray: string[], quarantined: string[], rewritten: string[] }}
+     */
+    verify(options = {}) {
+        const report = {
+            files: 0, days: 0,
+            unreadable: [], badLines: [], shadowed: [], stray: [],
+            quarantined: [], rewritten: []
+        };
+        if (options.repair && !options.quarantineDir) throw new Error('verify: repair needs a quarantineDir');
+
+        let entries = [];
+        try {
+            entries = fs.readdirSync(this.archiveDir, { withFileTypes: true }).filter(e => e.isFile()).map(e => e.name).sort();
+        } catch {
+            return report;
+        }
+        const quarantine = (name, copy = false) => {
+            fs.mkdirSync(options.quarantineDir, { recursive: true });
+            const from = path.join(this.archiveDir, name);
+            const to = path.join(options.quarantineDir, name);
+            if (copy) fs.copyFileSync(from, to);
+            else fs.renameSync(from, to);
+            report.quarantined.push(name);
+        };
+
+        const days = new Set();
+        for (const name of entries) {
+            if (name === ENCRYPTION_MARKER || name === TIMEZONE_MARKER) continue;
+            // Removed by the repair of an earlier file of the same day
+            if (!fs.existsSync(path.join(this.archiveDir, name))) continue;
+            report.files++;
+            const match = DAY_FILE.exec(name);
+            if (!match) {
+                report.stray.push(name);
+                if (options.repair) quarantine(name);
+                continue;
+            }
+
+            const date = match[1];
+            days.add(date);
+            if (this._locateDay(date).path !== path.join(this.archiveDir, name)) {
+                report.shadowed.push(name);
+                if (options.repair) quarantine(name);
+                continue;
+            }
+
+            const codec = Object.values(CODECS).find(c => name.endsWith(c.ext)) || null;
+            let day;
+            try {
+                day = this._decodeDay(fs.readFileSync(path.join(this.archiveDir, name)), codec, date);
+            } catch (err) {
+                if (err.keyMismatch) throw err;
+                report.unreadable.push({ file: name, error: err.message });
+                if (options.repair) quarantine(name);
+                continue;
+            }
+            if (day.bad === 0) continue;
+            report.badLines.push({ file: name, lines: day.bad });
+            if (options.repair) {
+                quarantine(name, true);
+                if (day.records.length === 0) {
+                    this._deleteDay(date);
+                } else {
+                    const plainPath = this._dayPath(date);
+                    _writeAtomic(plainPath, day.records.map(r => this._encodeRecord(r)).join('\n') + '\n');
+                    for (const other of Object.values(CODECS)) _unlinkIfExists(plainPath + other.ext);
+                }
+                report.rewritten.push(date);
+            }
+        }
+        report.days = days.size;
+        if (options.repair) this._dayKeys.clear();
+        return report;
+    }
+
+    /**
+     * Rewrite every day file for another key: read with this archiver's
+     * cipher, write with `cipher` (null = plaintext), then update the
+     * encryption marker. Compressed days stay compressed. Used by
+     * scripts/rekey.js while the gateway is stopped.
+     *
+     * @param {Cipher|null} cipher
+     * @returns {{ days: number, errors: string[] }}
+     */
+    rekey(cipher) {
+        const report = { days: 0, errors: [] };
+        for (const date of this.getDates()) {
+            try {
+                const located = this._locateDay(date);
+                const day = this._readRecords(date);
+                if (!day) throw new Error('unreadable day file');
+                const lines = day.records.map(r => JSON.stringify(r));
+                let data;
+                if (located.codec) {
+                    data = located.codec.compress(Buffer.from(lines.join('\n') + '\n'));
+                    if (cipher) data = cipher.seal(data);
+                } else {
+                    data = lines.map(json => (cipher ? cipher.encryptText(json) : json)).join('\n') + '\n';
+                }
+                _writeAtomic(located.path, data);
+                if (!located.codec) {
+                    for (const codec of Object.values(CODECS)) _unlinkIfExists(located.path + codec.ext);
+                }
+                report.days++;
+            } catch (err) {
+                report.errors.push(`${date}: ${err.message}`);
+            }
+        }
+
+        // Leave the old marker while any day still holds the old key
+        if (report.errors.length === 0) {
+            const markerPath = path.join(this.archiveDir, ENCRYPTION_MARKER);
+            if (cipher) _writeAtomic(markerPath, JSON.stringify({ keyId: cipher.keyId }) + '\n');
+            else _unlinkIfExists(markerPath);
+        }
+        this.cipher = cipher;
+        this._dayKeys.clear();
+        return report;
     }
 
     // ---------------------------------------------------------------
     // Internal
     // ---------------------------------------------------------------
 
+    /**
+     * Group normalized, redacted records by date, deduplicate against
+     * each day file and write.
+     * @param {Array} normalized - records with a `redactions` tally each
+     * @returns {{ archived: number, dates: string[], redactions: object }}
+     */
+    _archiveNormalized(normalized) {
+        // Group by date
+        const byDate = new Map();
+        for (const msg of normalized) {
+            const date = this.clock.dateOf(msg.timestamp); // YYYY-MM-DD in the archive zone
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(msg);
+        }
+
+        let totalArchived = 0;
+        let totalEdited = 0;
+        const dates = [];
+        const redactions = {};
+        const editedAt = new Date().toISOString();
+
+        for (const [date, dayMessages] of byDate) {
+            const keys = this._loadDayKeys(date);
+
+            // Keep new messages that don't already exist, and edits of
+            // ones that do. Records archived before message ids existed
+            // are matched on timestamp + sender, records under another id
+            // on timestamp + sender + text, records without an id on
+            // sender + text within the dedup window.
+            // Only newly added messages count towards the redaction tally.
+            const lines = [];
+            const dayRedactions = {};
+            let archived = 0;
+            let edited = 0;
+            for (const { redactions: counts, ...msg } of dayMessages) {
+                let record = msg;
+                if (msg.sender === 'tool') {
+                    const key = _dedupKey(msg);
+                    if (keys.dedupKeys.has(key)) continue;
+                    keys.dedupKeys.add(key);
+                    archived++;
+                } else {
+                    const hash = _textHash(msg.text);
+                    const known = msg.id ? keys.ids.get(msg.id) : null;
+                    if (known) {
+                        if (known.hash === hash) continue;
+                        record = { ...msg, revision: known.revision + 1, editedAt };
+                        edited++;
+                    } else {
+                        if (msg.id && keys.legacyKeys.has(`${msg.timestamp}_${msg.sender}`)) continue;
+                        if (this._seenNear(date, keys, msg, hash, msg.id ? 0 : this.dedupWindowMs)) continue;
+                        archived++;
+                    }
+                    if (msg.id) keys.ids.set(msg.id, { hash, revision: record.revision || 0 });
+                    _addText(keys.texts, msg, hash);
+                }
+                const hasCounts = counts && Object.keys(counts).length > 0;
+                lines.push(this._encodeRecord(hasCounts ? { ...record, redactions: counts } : record));
+                if (hasCounts) Redactor.addCounts(dayRedactions, counts);
+            }
+            if (lines.length === 0) continue;
+
+            try {
+                keys.size = _appendDurable(this._dayPath(date), lines.join('\n') + '\n', line => this._isCompleteLine(line));
+                totalArchived += archived;
+                totalEdited += edited;
+                dates.push(date);
+                Redactor.addCounts(redactions, dayRedactions);
+            } catch (err) {
+                this._dayKeys.delete(date);
+                console.error(`[Archiver] Failed to write ${this._dayPath(date)}:`, err.message);
+            }
+        }
+
+        return { archived: totalArchived, edited: totalEdited, dates, redactions };
+    }
+
+    _dayPath(date) {
+        return path.join(this.archiveDir, `${date}.jsonl`);
+    }
+
+    /**
+     * The file holding a day: the plain file if there is one, else a
+     * compressed one.
+     * @returns {{ path: string, codec: object|null }|null}
+     */
+    _locateDay(date) {
+        const plainPath = this._dayPath(date);
+        if (fs.existsSync(plainPath)) return { path: plainPath, codec: null };
+        for (const codec of Object.values(CODECS)) {
+            if (fs.existsSync(plainPath + codec.ext)) return { path: plainPath + codec.ext, codec };
+        }
+        return null;
+    }
+
+    /**
+     * Remove every file of a day (plain and compressed).
+     */
+    _deleteDay(date) {
+        const plainPath = this._dayPath(date);
+        _unlinkIfExists(plainPath);
+        for (const codec of Object.values(CODECS)) _unlinkIfExists(plainPath + codec.ext);
+        this._dayKeys.delete(date);
+    }
+
+    /**
+     * Read a day file's records in file order. Unparseable lines are
+     * skipped — a torn last line (crash mid-append) quietly, anything else
+     * with a warning — so one bad line never hides the rest of the day.
+     * Encrypted data without the right key throws.
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{ records: object[], bad: number }|null}
+     */
+    _readRecords(date) {
+        const located = this._locateDay(date);
+        if (!located) return null;
+        let data;
+        try {
+            data = fs.readFileSync(located.path);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn(`[Archiver] Failed to read ${located.path}:`, err.message);
+            return null;
+        }
+        let day;
+        try {
+            day = this._decodeDay(data, located.codec, date);
+        } catch (err) {
+            if (err.keyMismatch) throw err;
+            console.warn(`[Archiver] Failed to read ${located.path}:`, err.message);
+            return null;
+        }
+        if (day.bad > 0) console.warn(`[Archiver] Skipped ${day.bad} unreadable lines in ${located.path}`);
+        return day;
+    }
+
+    /**
+     * Day file contents → records. Throws if the file can't be decrypted
+     * or decompressed; errors from a missing or different key are marked
+     * `keyMismatch`, since they say nothing about the file itself.
+     * @returns {{ records: object[], bad: number }}
+     */
+    _decodeDay(data, codec, date) {
+        const what = `Archive day ${date}`;
+        try {
+            if (Cipher.isSealed(data)) {
+                if (!this.cipher) throw Cipher.missingKeyError(what);
+                this.cipher.assertKey(Cipher.keyIdFor(data), what);
+            }
+        } catch (err) {
+            err.keyMismatch = true;
+            throw err;
+        }
+        if (this.cipher) data = this.cipher.open(data);
+        const content = (codec ? codec.decompress(data) : data).toString('utf8');
+
+        const records = [];
+        const lines = content.split('\n');
+        let bad = 0;
+        lines.forEach((line, i) => {
+            if (!line.trim()) return;
+            let record;
+            try {
+                record = this._parseLine(line, date);
+            } catch (err) {
+                err.keyMismatch = true;
+                throw err;
+            }
+            if (record) records.push(record);
+            // The final line is torn if the file doesn't end in a newline
+            else if (i !== lines.length - 1) bad++;
+        });
+        return { records, bad };
+    }
+
+    /**
+     * A day's messages in time order, and its redaction tally.
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{ messages: object[], redactions: object }|null}
+     */
+    _readDay(date) {
+        const day = this._readRecords(date);
+        if (!day) return null;
+
+        const messages = [];
+        const redactions = {};
+        const byId = new Map();
+        for (const { redactions: counts, ...msg } of day.records) {
+            Redactor.addCounts(redactions, counts);
+            if (!msg.sender) continue;
+            // A later record with the same id is an edit of the message
+            const earlier = msg.id ? byId.get(msg.id) : null;
+            if (earlier) {
+                const merged = _applyEdit(earlier.msg, msg);
+                messages[earlier.index] = merged;
+                byId.set(msg.id, { msg: merged, index: earlier.index });
+                continue;
+            }
+            if (msg.id) byId.set(msg.id, { msg, index: messages.length });
+            messages.push(msg);
+        }
+
+        // Appends arrive in write order; present the day in time order
+        messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        return { messages, redactions };
+    }
+
+    /**
+     * One line of a day file → record, or null if it can't be read.
+     * Encrypted lines need the key they were written with.
+     */
+    _parseLine(line, date) {
+        let json = line;
+        if (Cipher.isEncrypted(line)) {
+            if (!this.cipher) throw Cipher.missingKeyError(`Archive day ${date}`);
+            this.cipher.assertKey(Cipher.keyIdFor(line), `Archive day ${date}`);
+            try {
+                json = this.cipher.decryptText(line);
+            } catch {
+                return null;
+            }
+        }
+        try {
+            return JSON.parse(json);
+        } catch {
+            return null;
+        }
+    }
+
+    _isCompleteLine(line) {
+        try {
+            return this._parseLine(line, '') !== null;
+        } catch {
+            return false;
+        }
+    }
+
+    _encodeRecord(record) {
+        const json = JSON.stringify(record);
+        return this.cipher ? this.cipher.encryptText(json) : json;
+    }
+
+    /**
+     * Atomically replace a day file with the given messages. The day's
+     * redaction tally goes on a leading metadata line, so it survives
+     * messages being removed.
+     */
+    _rewriteDay(date, messages, redactions) {
+        const lines = [];
+        if (redactions && Object.keys(redactions).length > 0) lines.push(this._encodeRecord({ date, redactions }));
+        for (const { redactions: _counts, ...msg } of messages) lines.push(this._encodeRecord(msg));
+        const plainPath = this._dayPath(date);
+        _writeAtomic(plainPath, lines.join('\n') + '\n');
+        for (const codec of Object.values(CODECS)) _unlinkIfExists(plainPath + codec.ext);
+        this._dayKeys.delete(date);
+    }
+
+    /**
+     * Cut an expired day down to what archive.tiering keeps. Summaries
+     * and, with tiering.important, important messages stay; the rest is
+     * summarized (tiering.summary) and dropped. A later summary sits
+     * next to an earlier one when messages reached the day after it was
+     * tiered.
+     * @returns {'removed'|'tiered'|'unchanged'}
+     */
+    _tierDay(date) {
+        const conversation = this.getConversation(date);
+        if (!conversation) return 'unchanged';
+
+        const kept = [];
+        const dropped = [];
+        for (const msg of conversation.messages) {
+            const keep = msg.sender === 'summary' || (this.tiering.important && msg.important);
+            (keep ? kept : dropped).push(msg);
+        }
+        if (dropped.length === 0) return 'unchanged';
+
+        if (this.tiering.summary) {
+            const n = kept.filter(m => m.sender === 'summary').length;
+            kept.push(this._summarize(date, dropped, n));
+        }
+        if (kept.length === 0) {
+            this._deleteDay(date);
+            return 'removed';
+        }
+        kept.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        this._rewriteDay(date, kept, conversation.redactions);
+        return 'tiered';
+    }
+
+    /**
+     * Summary record of messages about to be dropped: counts, time span,
+     * tools used, and the first line of what the user wrote, up to
+     * tiering.summaryLines lines. Built from the archived (already
+     * redacted) text.
+     */
+    _summarize(date, messages, n) {
+        const user = messages.filter(m => m.sender === 'user' && m.text);
+        const agent = messages.filter(m => m.sender === 'agent');
+        const tools = new Map();
+        for (const m of messages) {
+            if (m.sender === 'tool') tools.set(m.tool, (tools.get(m.tool) || 0) + 1);
+        }
+        const first = messages[0];
+        const last = messages[messages.length - 1];
+        const from = this.clock.timeOf(first.timestamp);
+        const to = this.clock.timeOf(last.timestamp);
+
+        const lines = [`${user.length} user and ${agent.length} agent messages${from ? `, ${from}–${to}` : ''}.`];
+        if (tools.size > 0) {
+            lines.push(`Tools used: ${[...tools].map(([tool, count]) => (count > 1 ? `${tool} ×${count}` : tool)).join(', ')}.`);
+        }
+        if (user.length > 0) {
+            lines.push('The user wrote:');
+            for (const m of user.slice(0, this.tiering.summaryLines)) {
+                const line = m.text.trim().split('\n')[0];
+                lines.push(`- ${line.length > 200 ? line.substring(0, 197) + '...' : line}`);
+            }
+            const more = user.length - this.tiering.summaryLines;
+            if (more > 0) lines.push(`- ... and ${more} more`);
+        }
+
+        return {
+            id: `summary-${date}-${n}`,
+            timestamp: first.timestamp,
+            sender: 'summary',
+            text: lines.join('\n'),
+            summarized: { messages: messages.length, from: first.timestamp, to: last.timestamp }
+        };
+    }
+
+    /**
+     * Whether the same sender sent the same text within windowMs of a
+     * message — on its own day, or a neighbouring one the window reaches.
+     * Neighbouring days are read without expanding them.
+     */
+    _seenNear(date, keys, msg, hash, windowMs) {
+        const time = Date.parse(msg.timestamp);
+        const dates = new Set([date]);
+        if (windowMs > 0 && !isNaN(time)) {
+            dates.add(this.clock.dateOf(time - windowMs));
+            dates.add(this.clock.dateOf(time + windowMs));
+        }
+        for (const d of dates) {
+            const seen = (d === date ? keys : this._peekDayKeys(d)).texts.get(`${msg.sender}_${hash}`) || [];
+            if (seen.some(ts => ts === msg.timestamp || Math.abs(Date.parse(ts) - time) <= windowMs)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Dedup keys of a day without preparing it for appends: a compressed
+     * day stays compressed (and its keys uncached).
+     */
+    _peekDayKeys(date) {
+        if (this._locateDay(date)?.codec) return _dayKeysOf(this._readDay(date)?.messages || [], -1);
+        return this._loadDayKeys(date);
+    }
+
+    /**
+     * Dedup keys for a day, from the cache while the file is unchanged.
+     */
+    _loadDayKeys(date) {
+        // Appends go to the plain file; expand a compressed day first
+        const located = this._locateDay(date);
+        if (located?.codec) {
+            const day = this._readRecords(date);
+            if (day) {
+                _writeAtomic(this._dayPath(date), day.records.map(r => this._encodeRecord(r)).join('\n') + '\n');
+                fs.unlinkSync(located.path);
+            }
+            this._dayKeys.delete(date);
+        }
+
+        let size = 0;
+        try {
+            size = fs.statSync(this._dayPath(date)).size;
+        } catch { /* no file yet */ }
+
+        const cached = this._dayKeys.get(date);
+        if (cached && cached.size === size) return cached;
+
+        const messages = size > 0 ? (this._readDay(date)?.messages || []) : [];
+        const keys = _dayKeysOf(messages, size);
+        this._dayKeys.delete(date);
+        this._dayKeys.set(date, keys);
+        while (this._dayKeys.size > DAY_KEY_CACHE) {
+            this._dayKeys.delete(this._dayKeys.keys().next().value);
+        }
+        return keys;
+    }
+
+    /**
+     * Match the archive's encryption marker to the configured key, and
+     * write the marker the first time the archive is opened encrypted.
+     * Plaintext days from before encryption stay readable.
+     */
+    _checkEncryption() {
+        const markerPath = path.join(this.archiveDir, ENCRYPTION_MARKER);
+        let marker = null;
+        try {
+            marker = JSON.parse(fs.readFileSync(markerPath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw new Error(`Unreadable encryption marker ${markerPath}: ${err.message}`);
+        }
+
+        if (!this.cipher) {
+            if (marker) throw Cipher.missingKeyError(`Archive ${this.archiveDir}`);
+            return;
+        }
+        if (marker) {
+            this.cipher.assertKey(marker.keyId, `Archive ${this.archiveDir}`);
+            return;
+        }
+        _writeAtomic(markerPath, JSON.stringify({ keyId: this.cipher.keyId }) + '\n');
+    }
+
+    /**
+     * Convert day files from the old `{date}.json` format. The JSONL file
+     * is written atomically and read back before the old file is removed,
+     * so an interrupted migration resumes on the next start. Unreadable
+     * old files are left in place.
+     */
+    _migrateLegacyFiles() {
+        let files;
+        try {
+            files = fs.readdirSync(this.archiveDir).filter(f => /^\d{4}-\d{2}-\d{2}\.json$/.test(f));
+        } catch {
+            return;
+        }
+
+        let migrated = 0;
+        for (const file of files) {
+            const date = file.substring(0, 10);
+            const legacyPath = path.join(this.archiveDir, file);
+            try {
+                // A previous run got as far as writing the JSONL file
+                if (this._locateDay(date)) {
+                    fs.unlinkSync(legacyPath);
+                    continue;
+                }
+                const legacy = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+                const messages = Array.isArray(legacy.messages) ? legacy.messages : [];
+                this._rewriteDay(date, messages, legacy.redactions);
+                if (this._readDay(date)?.messages.length !== messages.length) {
+                    throw new Error('converted file does not read back');
+                }
+                fs.unlinkSync(legacyPath);
+                migrated++;
+            } catch (err) {
+                console.warn(`[Archiver] Could not migrate ${legacyPath}:`, err.message);
+            }
+        }
+        if (migrated > 0) console.log(`[Archiver] Migrated ${migrated} day files to JSONL`);
+    }
+
+    /**
+     * Re-bucket day files written under another timezone. Archives from
+     * before archive.timezone have no marker and were bucketed by UTC
+     * date. Every record goes to the day of its own timestamp, so the
+     * result doesn't depend on which file a record was in. The new days
+     * are built in a sibling directory and swapped in by _finishRebucket();
+     * a failure leaves the archive as it was, to be retried next start.
+     */
+    _migrateTimezone() {
+        const markerPath = path.join(this.archiveDir, TIMEZONE_MARKER);
+        let stored = null;
+        try {
+            stored = JSON.parse(fs.readFileSync(markerPath, 'utf8')).timeZone || null;
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.warn(`[Archiver] Unreadable timezone marker ${markerPath}: ${err.message}`);
+        }
+        const zone = this.clock.timeZone;
+        const from = stored || 'UTC';
+        const dates = this.getDates();
+        if (from === zone || dates.length === 0) {
+            if (stored !== zone) _writeAtomic(markerPath, JSON.stringify({ timeZone: zone }) + '\n');
+            return;
+        }
+
+        const staging = `${this.archiveDir}.rebucket`;
+        try {
+            fs.rmSync(staging, { recursive: true, force: true });
+            fs.mkdirSync(staging, { recursive: true });
+
+            // target date → { records, redactions }. A record moves at most
+            // two days (zone offsets span 26h), so once the source dates have
+            // passed a target by more than that it is complete.
+            const pending = new Map();
+            const flush = date => {
+                const { records, redactions } = pending.get(date);
+                pending.delete(date);
+                records.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+                const lines = records.map(r => this._encodeRecord(r));
+                if (Object.keys(redactions).length > 0) lines.unshift(this._encodeRecord({ date, redactions }));
+                _writeAtomic(path.join(staging, `${date}.jsonl`), lines.join('\n') + '\n');
+            };
+            const bucket = date => {
+                if (!pending.has(date)) pending.set(date, { records: [], redactions: {} });
+                return pending.get(date);
+            };
+
+            for (const source of dates) {
+                const day = this._readRecords(source);
+                if (!day) throw new Error(`cannot read archive day ${source}`);
+                // Re-bucketing would drop the unreadable lines for good
+                if (day.bad > 0) throw new Error(`archive day ${source} has unreadable lines`);
+                for (const record of day.records) {
+                    // Day tallies stay with their day; records carry their own counts
+                    if (!record.sender) Redactor.addCounts(bucket(source).redactions, record.redactions);
+                    else bucket(this.clock.dateOf(record.timestamp)).records.push(record);
+                }
+                const complete = DayClock.shiftDate(source, -2);
+                for (const date of [...pending.keys()]) {
+                    if (date < complete) flush(date);
+                }
+            }
+            for (const date of [...pending.keys()]) flush(date);
+
+            // Carry over everything else (encryption marker, unconverted
+            // legacy files); the timezone marker goes last and marks the
+            // staging directory complete
+            for (const dirent of fs.readdirSync(this.archiveDir, { withFileTypes: true })) {
+                if (!dirent.isFile() || DAY_FILE.test(dirent.name) || dirent.name === TIMEZONE_MARKER) continue;
+                fs.copyFileSync(path.join(this.archiveDir, dirent.name), path.join(staging, dirent.name));
+            }
+            _writeAtomic(path.join(staging, TIMEZONE_MARKER), JSON.stringify({ timeZone: zone }) + '\n');
+        } catch (err) {
+            console.warn(`[Archiver] Could not re-bucket archive days from ${from} to ${zone}:`, err.message);
+            fs.rmSync(staging, { recursive: true, force: true });
+            return;
+        }
+
+        this._finishRebucket();
+        this._dayKeys.clear();
+        console.log(`[Archiver] Re-bucketed ${dates.length} archive days from ${from} to ${zone} (now ${this.getDates().length})`);
+    }
+
+    /**
+     * Swap a complete re-bucketed archive into place: archive → .old,
+     * .rebucket → archive, then drop .old. Each rename is atomic, so an
+     * interrupted swap is finished here on the next start. An incomplete
+     * staging directory (no timezone marker yet) is discarded.
+     */
+    _finishRebucket() {
+        const staging = `${this.archiveDir}.rebucket`;
+        const old = `${this.archiveDir}.old`;
+        if (fs.existsSync(staging)) {
+            if (!fs.existsSync(path.join(staging, TIMEZONE_MARKER))) {
+                fs.rmSync(staging, { recursive: true, force: true });
+            } else {
+                if (fs.existsSync(this.archiveDir)) {
+                    fs.rmSync(old, { recursive: true, force: true });
+                    fs.renameSync(this.archiveDir, old);
+                }
+                fs.renameSync(staging, this.archiveDir);
+            }
+        }
+        fs.rmSync(old, { recursive: true, force: true });
+    }
+
+    /**
+     * Shorten a tool result per archive.tools.digest: `head` keeps the
+     * start, `headTail` the start and the end (where errors and totals
+     * usually are), `none` drops it.
+     */
+    _digest(text) {
+        const { digest, digestChars } = this.tools;
+        if (digest === 'none' || !text) return '';
+        if (text.length <= digestChars) return text;
+        if (digest === 'head') return `${text.substring(0, digestChars)}\n…[${text.length - digestChars} more chars]`;
+        const head = Math.ceil(digestChars * 2 / 3);
+        const tail = digestChars - head;
+        return `${text.substring(0, head)}\n…[${text.length - digestChars} chars omitted]…\n${text.substring(text.length - tail)}`;
+    }
+
     _normalizeTimestamp(ts) {
         if (!ts) return new Date().toISOString();
         if (typeof ts === 'string') return ts;
@@ -267,4 +1295,147 @@ class Archiver {
     }
 }
 
+/**
+ * Deduplication key: the message id when there is one. Tool records also
+ * key on the tool and call id, so parallel calls in the same millisecond
+ * are all kept.
+ */
+function _dedupKey(msg) {
+    if (msg.id) return `id:${msg.id}`;
+    if (msg.sender !== 'tool') return `${msg.timestamp}_${msg.sender}`;
+    return `${msg.timestamp}_tool_${msg.tool}_${msg.callId || ''}`;
+}
+
+/**
+ * Digest of a message's text, for content matching and edit detection.
+ */
+function _textHash(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex').substring(0, 16);
+}
+
+/**
+ * Dedup keys of a day's (collapsed) messages:
+ *   dedupKeys  — tool records
+ *   legacyKeys — `${timestamp}_${sender}` of messages without an id
+ *   ids        — id → { hash, revision } of the latest version
+ *   texts      — `${sender}_${hash}` → timestamps
+ */
+function _dayKeysOf(messages, size) {
+    const keys = {
+        size,
+        dedupKeys: new Set(messages.filter(m => m.sender === 'tool').map(_dedupKey)),
+        legacyKeys: new Set(
+            messages.filter(m => !m.id && m.sender !== 'tool').map(m => `${m.timestamp}_${m.sender}`)
+        ),
+        ids: new Map(),
+        texts: new Map()
+    };
+    for (const m of messages) {
+        if (m.sender === 'tool') continue;
+        const hash = _textHash(m.text);
+        if (m.id) keys.ids.set(m.id, { hash, revision: m.revision || 0 });
+        _addText(keys.texts, m, hash);
+    }
+    return keys;
+}
+
+function _addText(texts, msg, hash) {
+    const key = `${msg.sender}_${hash}`;
+    if (!texts.has(key)) texts.set(key, []);
+    texts.get(key).push(msg.timestamp);
+}
+
+/**
+ * Fold an edit record into the message it revises: the edit's text, the
+ * original timestamp, and the replaced text appended to `revisions`
+ * (oldest first, each with the time it was written).
+ */
+function _applyEdit(message, edit) {
+    const { revisions = [], ...current } = message;
+    return {
+        ...current,
+        text: edit.text,
+        revision: edit.revision,
+        editedAt: edit.editedAt,
+        revisions: [...revisions, { text: current.text, at: current.editedAt || current.timestamp }]
+    };
+}
+
+/**
+ * Append to a file and fsync. A torn last line left by an earlier crash
+ * is cut off first (a complete one just gets its missing newline), so
+ * the new records start on a line of their own.
+ * @param {string} filePath
+ * @param {string} data
+ * @param {function(string): boolean} isComplete - whether a line is a whole record
+ * @returns {number} file size after the append
+ */
+function _appendDurable(filePath, data, isComplete) {
+    const fd = fs.openSync(filePath, 'a+');
+    try {
+        let size = fs.fstatSync(fd).size;
+        if (size > 0) {
+            const last = Buffer.alloc(1);
+            fs.readSync(fd, last, 0, 1, size - 1);
+            if (last[0] !== 0x0a) {
+                const content = fs.readFileSync(filePath);
+                const lineStart = content.lastIndexOf(0x0a) + 1;
+                if (isComplete(content.subarray(lineStart).toString('utf8'))) {
+                    data = `\n${data}`;
+                } else {
+                    size = lineStart;
+                    fs.ftruncateSync(fd, size);
+                    console.warn(`[Archiver] Truncated torn last line of ${filePath}`);
+                }
+            }
+        }
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+        return size + Buffer.byteLength(data);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function _unlinkIfExists(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+/**
+ * Replace a file via fsync'd temp file + rename.
+ */
+function _writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, data);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+function _clip(value, maxLen) {
+    return value.length > maxLen ? `${value.substring(0, maxLen)}…` : value;
+}
+
+/**
+ * Copy a JSON-like value, passing every string through fn.
+ */
+function _mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(v => _mapStrings(v, fn));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = _mapStrings(v, fn);
+        return out;
+    }
+    return value;
+}
+
 module.exports = Archiver;
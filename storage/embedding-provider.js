@@ -0,0 +1,442 @@
+/**
+ * EmbeddingProvider — One embedding backend shared by Indexer and Searcher.
+ *
+ * Backends (embedding.provider):
+ *   auto         — try embedding.fallback in order (default: llamacpp → onnx → transformers)
+ *   llamacpp     — llama.cpp server, OpenAI-style /v1/embeddings (LLAMA_EMBED_URL)
+ *   openai       — any OpenAI-compatible /embeddings endpoint
+ *   ollama       — Ollama /api/embed
+ *   onnx         — @chroma-core/default-embed (in-process, CPU)
+ *   transformers — @huggingface/transformers feature-extraction pipeline
+ *   hashing      — dependency-free feature hashing (offline, deterministic)
+ *   <custom>     — a backend registered by another plugin (see registerBackend)
+ *
+ * Each backend has its own settings under embedding.backends.<name>:
+ * documentPrefix / queryPrefix (e.g. nomic's "search_document: "),
+ * timeout (ms per request), batchSize (texts per request) and, for
+ * HTTP backends, url / model.
+ *
+ * initialize() probes the backend once to learn its dimensions; every
+ * Indexer and Searcher (across namespaces) then shares the instance.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Shared across module copies, so another plugin can register a backend
+// before or after this one loads without requiring it.
+const REGISTRY_KEY = Symbol.for('openclaw-plugin-continuity.embeddingBackends');
+const customBackends = globalThis[REGISTRY_KEY] ??= new Map();
+
+const BUILTIN_BACKENDS = {
+    llamacpp: {
+        defaults: {
+            model: 'nomic-embed-text-v1.5',
+            documentPrefix: 'search_document: ',
+            queryPrefix: 'search_query: ',
+            timeout: 30000,
+            probeTimeout: 5000,
+            batchSize: 32
+        },
+        create(opts) {
+            const url = opts.url || process.env.LLAMA_EMBED_URL || 'http://localhost:8082';
+            opts.url = url;
+            return texts => _openAiEmbed(`${url.replace(/\/$/, '')}/v1/embeddings`, opts.model, texts, opts);
+        }
+    },
+
+    openai: {
+        defaults: {
+            url: 'https://api.openai.com/v1',
+            model: 'text-embedding-3-small',
+            apiKeyEnv: 'OPENAI_API_KEY',
+            documentPrefix: '',
+            queryPrefix: '',
+            timeout: 30000,
+            batchSize: 64
+        },
+        create(opts) {
+            const apiKey = opts.apiKey || (opts.apiKeyEnv && process.env[opts.apiKeyEnv]);
+            const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+            return texts => _openAiEmbed(`${opts.url.replace(/\/$/, '')}/embeddings`, opts.model, texts, opts, headers);
+        }
+    },
+
+    ollama: {
+        defaults: {
+            url: 'http://localhost:11434',
+            model: 'nomic-embed-text',
+            documentPrefix: 'search_document: ',
+            queryPrefix: 'search_query: ',
+            timeout: 30000,
+            batchSize: 16
+        },
+        create(opts) {
+            return async texts => {
+                const data = await _postJson(`${opts.url.replace(/\/$/, '')}/api/embed`,
+                    { model: opts.model, input: texts }, opts.timeout);
+                return data.embeddings || [];
+            };
+        }
+    },
+
+    onnx: {
+        defaults: {
+            model: 'Xenova/all-MiniLM-L6-v2',
+            documentPrefix: '',
+            queryPrefix: '',
+            timeout: 60000,
+            batchSize: 16
+        },
+        create() {
+            const { DefaultEmbeddingFunction } = require('@chroma-core/default-embed');
+            const fn = new DefaultEmbeddingFunction();
+            return texts => fn.generate(texts);
+        }
+    },
+
+    transformers: {
+        defaults: {
+            documentPrefix: '',
+            queryPrefix: '',
+            timeout: 60000,
+            batchSize: 8
+        },
+        create(opts) {
+            const { pipeline } = require('@huggingface/transformers');
+            let pipePromise = null;
+            return async texts => {
+                pipePromise = pipePromise || pipeline('feature-extraction', opts.model);
+                const pipe = await pipePromise;
+                const results = [];
+                for (const text of texts) {
+                    const output = await pipe(text, { pooling: 'mean', normalize: true });
+                    results.push(Array.from(output.data));
+                }
+                return results;
+            };
+        }
+    },
+
+    hashing: {
+        defaults: {
+            model: 'feature-hashing',
+            dimensions: 384,
+            wordNgrams: 2,
+            charNgrams: 3,
+            documentPrefix: '',
+            queryPrefix: '',
+            timeout: 0,
+            batchSize: 256
+        },
+        // The n-gram settings change the vector space, so they are part of the model name
+        modelName: opts => `${opts.model}-w${opts.wordNgrams}c${opts.charNgrams}`,
+        create(opts) {
+            return texts => texts.map(text => _hashEmbed(text, opts));
+        }
+    }
+};
+
+const DEFAULT_FALLBACK = ['llamacpp', 'onnx', 'transformers'];
+
+class EmbeddingProvider {
+    /**
+     * @param {object} config - full plugin config (reads embedding section)
+     */
+    constructor(config = {}) {
+        const ec = config.embedding || {};
+        this.config = ec;
+        this.provider = ec.provider || 'auto';
+        this.fallback = Array.isArray(ec.fallback) && ec.fallback.length > 0 ? ec.fallback : DEFAULT_FALLBACK;
+
+        // Set by initialize()
+        this.name = null;
+        this.model = null;
+        this.dimensions = null;
+        this.batchSize = 1;
+        this.ready = false;
+
+        this._embedFn = null;
+        this._options = null;
+        this._initPromise = null;
+    }
+
+    /**
+     * Register a custom backend (e.g. from another plugin).
+     *
+     * @param {string} name - value for embedding.provider
+     * @param {object} backend
+     * @param {function(string[], { kind: 'document'|'query' }): Promise<number[][]>} [backend.embed]
+     * @param {function(object): function} [backend.create] - factory (options) → (texts, kind) => vectors
+     * @param {object} [backend.defaults] - documentPrefix, queryPrefix, timeout, batchSize, model
+     */
+    static registerBackend(name, backend) {
+        if (!name || !backend || (typeof backend.embed !== 'function' && typeof backend.create !== 'function')) {
+            throw new Error('registerBackend requires a name and an embed() or create() function');
+        }
+        customBackends.set(name, backend);
+    }
+
+    /**
+     * Names of all available backends (built-in and registered).
+     * @returns {string[]}
+     */
+    static listBackends() {
+        return [...Object.keys(BUILTIN_BACKENDS), ...customBackends.keys()];
+    }
+
+    /**
+     * Select and probe the backend. Safe to call from several consumers —
+     * initialization runs once; a failed attempt is retried on the next call.
+     * @returns {Promise<EmbeddingProvider>}
+     */
+    async initialize() {
+        if (this.ready) return this;
+        if (!this._initPromise) {
+            this._initPromise = this._initialize().finally(() => {
+                this._initPromise = null;
+            });
+        }
+        await this._initPromise;
+        return this;
+    }
+
+    /**
+     * Embed texts for storage (document prefix applied).
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>}
+     */
+    async embedDocuments(texts) {
+        return this._embedAll(texts, 'document');
+    }
+
+    /**
+     * Embed a retrieval query (query prefix applied).
+     * @param {string} text
+     * @returns {Promise<number[]|null>}
+     */
+    async embedQuery(text) {
+        const [embedding] = await this._embedAll([text], 'query');
+        return embedding || null;
+    }
+
+    /**
+     * Identity of the active backend + model, for telemetry and status.
+     * @returns {{ provider: string|null, model: string|null, dimensions: number|null }}
+     */
+    describe() {
+        return { provider: this.name, model: this.model, dimensions: this.dimensions, modelId: this.modelId };
+    }
+
+    /**
+     * Stable id of the vector space this provider produces
+     * (backend + model + dimensions). Vectors from different ids
+     * must never be compared.
+     * @returns {string|null}
+     */
+    get modelId() {
+        if (!this.ready) return null;
+        return `${this.name}:${this.model || 'default'}:${this.dimensions}`;
+    }
+
+    /**
+     * Embedding config that recreates this exact backend — stored with a
+     * vector table so queries can still be embedded for it after the
+     * configured provider changes. API keys are left out; they are
+     * resolved from apiKeyEnv again when the snapshot is used.
+     * @returns {object|null} an `embedding` config section
+     */
+    snapshot() {
+        if (!this.ready) return null;
+        const { apiKey, ...options } = this._options;
+        return { provider: this.name, model: this.config.model, backends: { [this.name]: options } };
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    async _initialize() {
+        const candidates = this.provider === 'auto' ? this.fallback : [this.provider];
+        const failures = [];
+
+        for (const name of candidates) {
+            try {
+                await this._tryBackend(name, this.provider === 'auto');
+                console.log(`[Embeddings] ${name} ready (${this.model || 'default model'}, ${this.dimensions} dimensions)`);
+                return;
+            } catch (err) {
+                failures.push(`${name}: ${err.message}`);
+                console.warn(`[Embeddings] ${name} not available: ${err.message}`);
+            }
+        }
+
+        throw new Error(`No embedding backend available (${failures.join('; ')})`);
+    }
+
+    async _tryBackend(name, probing) {
+        const backend = customBackends.get(name) || BUILTIN_BACKENDS[name];
+        if (!backend) {
+            throw new Error(`unknown provider "${name}" (available: ${EmbeddingProvider.listBackends().join(', ')})`);
+        }
+
+        const options = {
+            model: this.config.model,
+            ...backend.defaults,
+            ...(this.config.backends?.[name] || {})
+        };
+        const embedFn = backend.create
+            ? backend.create(options)
+            : (texts, kind) => backend.embed(texts, { kind, options });
+
+        // Probe: also tells us the dimensions. Auto mode uses the short
+        // probe timeout so an absent server doesn't stall startup.
+        const probeTimeout = probing && options.probeTimeout ? options.probeTimeout : options.timeout;
+        const probe = await _withTimeout(
+            Promise.resolve(embedFn([`${options.documentPrefix || ''}test`], 'document')),
+            probeTimeout
+        );
+        const dims = probe?.[0]?.length;
+        if (!dims) throw new Error('probe returned no embedding');
+
+        this.name = name;
+        this.model = (backend.modelName ? backend.modelName(options) : options.model) || null;
+        this.dimensions = dims;
+        this.batchSize = Math.max(1, options.batchSize || 1);
+        this._options = options;
+        this._embedFn = embedFn;
+        this.ready = true;
+    }
+
+    async _embedAll(texts, kind) {
+        if (!this.ready) await this.initialize();
+        const { documentPrefix = '', queryPrefix = '', timeout } = this._options;
+        const prefix = kind === 'query' ? queryPrefix : documentPrefix;
+
+        // Text that already carries a task prefix is passed through
+        const known = [documentPrefix, queryPrefix].filter(Boolean);
+        const prefixed = texts.map(t =>
+            !prefix || known.some(p => t.startsWith(p)) ? t : prefix + t
+        );
+
+        const results = [];
+        for (let i = 0; i < prefixed.length; i += this.batchSize) {
+            const batch = prefixed.slice(i, i + this.batchSize);
+            const vectors = await _withTimeout(Promise.resolve(this._embedFn(batch, kind)), timeout);
+            if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+                throw new Error(`${this.name} returned ${vectors?.length ?? 0} embeddings for ${batch.length} texts`);
+            }
+            results.push(...vectors.map(v => Array.from(v)));
+        }
+        return results;
+    }
+}
+
+/**
+ * Feature-hashing embedding: word n-grams (1..wordNgrams) and character
+ * n-grams of length charNgrams within each word are hashed (FNV-1a) into
+ * a signed bucket, then the vector is L2-normalized. No model, no
+ * network, identical output on every machine — overlap in vocabulary
+ * and spelling becomes vector similarity.
+ */
+function _hashEmbed(text, opts) {
+    const dims = opts.dimensions;
+    const vector = new Array(dims).fill(0);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    const add = (feature, weight) => {
+        const h = _fnv1a(feature);
+        const sign = (h & 0x80000000) ? -1 : 1;
+        vector[(h & 0x7fffffff) % dims] += sign * weight;
+    };
+
+    for (let n = 1; n <= opts.wordNgrams; n++) {
+        for (let i = 0; i + n <= words.length; i++) {
+            add(`w${n}:${words.slice(i, i + n).join(' ')}`, 1 / n);
+        }
+    }
+
+    const size = opts.charNgrams;
+    if (size > 0) {
+        for (const word of words) {
+            const padded = `<${word}>`;
+            for (let i = 0; i + size <= padded.length; i++) {
+                add(`c:${padded.substring(i, i + size)}`, 0.5);
+            }
+        }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm > 0 ? vector.map(v => v / norm) : vector;
+}
+
+function _fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * POST to an OpenAI-style embeddings endpoint ({ data: [{ embedding, index }] }).
+ */
+async function _openAiEmbed(endpoint, model, texts, opts, headers = {}) {
+    const data = await _postJson(endpoint, { input: texts, model }, opts.timeout, headers);
+    if (data.error) throw new Error(data.error.message || String(data.error));
+    return (data.data || [])
+        .slice()
+        .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+        .map(d => d.embedding);
+}
+
+function _postJson(endpoint, body, timeout, headers = {}) {
+    const payload = JSON.stringify(body);
+    const url = new URL(endpoint);
+    const transport = url.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const req = transport.request({
+            hostname: url.hostname,
+            port: url.port,
+            path: url.pathname + url.search,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode >= 400) {
+                    reject(new Error(`HTTP ${res.statusCode}: ${data.substring(0, 200)}`));
+                    return;
+                }
+                try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
+            });
+        });
+        req.on('error', reject);
+        req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
+        req.write(payload);
+        req.end();
+    });
+}
+
+function _withTimeout(promise, ms) {
+    if (!ms) return promise;
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+        })
+    ]).finally(() => clearTimeout(timer));
+}
+
+EmbeddingProvider.BACKENDS = Object.keys(BUILTIN_BACKENDS);
+
+module.exports = EmbeddingProvider;
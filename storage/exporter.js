@@ -0,0 +1,450 @@
+/**
+ * Exporter — Render archived conversations as readable documents.
+ *
+ * Selections:
+ *   startDate / endDate — archive days in the range (inclusive; both
+ *                optional, so no selection at all exports every day)
+ *   session    — the messages a session archived, by the message ids
+ *                kept in its state (live sessions and saved snapshots)
+ *   query      — a continuity.search result set, laid out by day; each
+ *                record carries its rank and exchange id
+ *
+ * Formats:
+ *   markdown — one section per day, one paragraph per message
+ *   html     — a self-contained static page (inline CSS, no scripts) with
+ *              a table of days, day headers and a link anchor per message
+ *   jsonl    — one normalized record per line:
+ *              { namespace, date, timestamp, sender, text, id?, tool?, ... }
+ *
+ * Output is produced day by day by an async generator, so an export of
+ * the whole archive never has to be held in memory. Text is run through
+ * the Redactor with the current settings on the way out, which also
+ * covers records archived before a detector was turned on.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Redactor = require('../lib/redactor');
+
+// Format → file extension
+const FORMATS = { markdown: '.md', html: '.html', jsonl: '.jsonl' };
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html', json: 'jsonl' };
+
+// Larger exports must be written to a file
+const MAX_INLINE_BYTES = 5 * 1024 * 1024;
+
+class Exporter {
+    /**
+     * @param {object} config - full plugin config (reads redaction section)
+     * @param {Archiver} archiver
+     * @param {Searcher|null} searcher - needed for query selections
+     * @param {object} [options]
+     * @param {string} [options.namespace] - namespace id, recorded in the output
+     */
+    constructor(config = {}, archiver, searcher, options = {}) {
+        this.archiver = archiver;
+        this.searcher = searcher;
+        this.namespace = options.namespace || 'default';
+        this.redactor = new Redactor(config);
+        this.clock = archiver.clock;
+    }
+
+    /**
+     * Normalize a format name.
+     * @param {string} [format] - markdown (default), md, html or jsonl
+     * @returns {string}
+     */
+    static resolveFormat(format) {
+        const name = String(format || 'markdown').toLowerCase();
+        const resolved = FORMAT_ALIASES[name] || name;
+        if (!FORMATS[resolved]) {
+            throw new Error(`Unknown export format "${format}" (expected ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return resolved;
+    }
+
+    /**
+     * File extension for a format.
+     * @param {string} format
+     * @returns {string}
+     */
+    static extensionFor(format) {
+        return FORMATS[Exporter.resolveFormat(format)];
+    }
+
+    /**
+     * Resolve an export path under exportsDir. Relative paths only; a
+     * path that resolves outside exportsDir (absolute, or climbing out
+     * with "..") is refused. The format's extension is added when the
+     * path has none.
+     *
+     * @param {string} exportsDir
+     * @param {string} outPath
+     * @param {string} format
+     * @returns {string} absolute file path
+     */
+    static resolvePath(exportsDir, outPath, format) {
+        const root = path.resolve(exportsDir);
+        let filePath = path.resolve(root, String(outPath));
+        if (!path.extname(filePath)) filePath += Exporter.extensionFor(format);
+        const relative = path.relative(root, filePath);
+        if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+            throw new Error(`Export path "${outPath}" must be a relative path inside the exports directory`);
+        }
+        return filePath;
+    }
+
+    /**
+     * Render a selection chunk by chunk (one chunk per day, plus header
+     * and footer).
+     *
+     * @param {object} selection
+     * @param {string} [selection.format]
+     * @param {string} [selection.startDate] - YYYY-MM-DD
+     * @param {string} [selection.endDate] - YYYY-MM-DD
+     * @param {{ id: string, ids: Set<string>, start?: number }} [selection.session]
+     * @param {string} [selection.query] - search query
+     * @param {number} [selection.limit] - search results (default 20)
+     * @param {string} [selection.mode] - search mode
+     * @param {string|string[]} [selection.types] - search record types
+     * @param {object} [stats] - filled in with { format, days, messages } as output is produced
+     * @returns {AsyncGenerator<string>}
+     */
+    async *render(selection = {}, stats = {}) {
+        const format = Exporter.resolveFormat(selection.format);
+        const source = await this._select(selection);
+        const renderer = RENDERERS[format];
+        Object.assign(stats, { format, days: 0, messages: 0 });
+
+        const meta = {
+            title: `Continuity export — ${source.description}`,
+            namespace: this.namespace,
+            generatedAt: new Date().toISOString(),
+            dates: source.dates,
+            timeOf: ts => this.clock.timeOf(ts)
+        };
+        yield renderer.begin(meta);
+        for (const date of source.dates) {
+            const records = source.load(date).map(r => this._redact(r));
+            if (records.length === 0) continue;
+            stats.days++;
+            stats.messages += records.length;
+            yield renderer.day(date, records, meta);
+            // Let hooks and gateway calls run between days
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        yield renderer.end(meta, stats);
+    }
+
+    /**
+     * Stream an export to a file. It is written to a temp file and
+     * renamed into place, so a failed export never leaves a partial file.
+     * An existing file is only replaced with `overwrite`.
+     *
+     * @param {string} filePath
+     * @param {object} selection - see render()
+     * @param {object} [options]
+     * @param {boolean} [options.overwrite] - replace an existing file
+     * @returns {Promise<{ path: string, format: string, days: number, messages: number, bytes: number }>}
+     */
+    async writeFile(filePath, selection = {}, options = {}) {
+        if (!options.overwrite && fs.existsSync(filePath)) {
+            throw new Error(`${filePath} already exists (pass overwrite to replace it)`);
+        }
+        const stats = {};
+        const chunks = this.render(selection, stats);
+        // Resolve the selection (bad format, failed search) before creating the file
+        let next = await chunks.next();
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        const out = fs.createWriteStream(tmpPath);
+        let bytes = 0;
+
+        try {
+            await new Promise((resolve, reject) => {
+                out.on('error', reject);
+                (async () => {
+                    for (; !next.done; next = await chunks.next()) {
+                        bytes += Buffer.byteLength(next.value);
+                        if (!out.write(next.value)) await new Promise(r => out.once('drain', r));
+                    }
+                    out.end(resolve);
+                })().catch(reject);
+            });
+            if (options.overwrite) {
+                fs.renameSync(tmpPath, filePath);
+            } else {
+                // link() fails if the file appeared while exporting
+                fs.linkSync(tmpPath, filePath);
+                fs.unlinkSync(tmpPath);
+            }
+        } catch (err) {
+            out.destroy();
+            try { fs.unlinkSync(tmpPath); } catch { /* never written */ }
+            throw err;
+        }
+
+        return { path: filePath, ...stats, bytes };
+    }
+
+    /**
+     * Render an export into a string, for small exports returned inline.
+     *
+     * @param {object} selection - see render()
+     * @returns {Promise<{ content: string, format: string, days: number, messages: number, bytes: number }>}
+     */
+    async renderString(selection = {}) {
+        const stats = {};
+        const parts = [];
+        let bytes = 0;
+        for await (const chunk of this.render(selection, stats)) {
+            bytes += Buffer.byteLength(chunk);
+            if (bytes > MAX_INLINE_BYTES) {
+                throw new Error(`Export is larger than ${MAX_INLINE_BYTES / 1024 / 1024} MB; pass a path to write it to a file`);
+            }
+            parts.push(chunk);
+        }
+        return { content: parts.join(''), ...stats, bytes };
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    /**
+     * Resolve a selection to the dates it covers and a loader for each
+     * date's records.
+     * @returns {Promise<{ description: string, dates: string[], load: function(string): object[] }>}
+     */
+    async _select(selection) {
+        const { startDate, endDate } = selection;
+        const inRange = date => (!startDate || date >= startDate) && (!endDate || date <= endDate);
+
+        if (selection.query) {
+            return this._selectSearch(selection, inRange);
+        }
+
+        if (selection.session) {
+            const { id, ids, start } = selection.session;
+            const from = start ? this.clock.dateOf(start) : null;
+            const byDate = new Map();
+            for (const date of this.archiver.getDates()) {
+                if ((from && date < from) || !inRange(date)) continue;
+                const records = (this.archiver.getConversation(date)?.messages || []).filter(m => m.id && ids.has(m.id));
+                if (records.length > 0) byDate.set(date, records);
+            }
+            return {
+                description: `session ${id}`,
+                dates: [...byDate.keys()],
+                load: date => byDate.get(date)
+            };
+        }
+
+        const dates = this.archiver.getDates().filter(inRange);
+        return {
+            description: startDate || endDate
+                ? `${startDate || dates[0] || '…'} to ${endDate || dates[dates.length - 1] || '…'}`
+                : 'all days',
+            dates,
+            load: date => this.archiver.getConversation(date)?.messages || []
+        };
+    }
+
+    /**
+     * Search results as records: the user and agent side of each
+     * exchange, or the call and result of a tool record.
+     */
+    async _selectSearch(selection, inRange) {
+        if (!this.searcher) throw new Error('Searcher not initialized; cannot export search results');
+        const results = await this.searcher.search(selection.query, selection.limit || 20, {
+            mode: selection.mode,
+            types: selection.types
+        });
+        if (results.error) throw new Error(results.error);
+
+        const byDate = new Map();
+        results.exchanges.forEach((ex, i) => {
+            if (!inRange(ex.date)) return;
+            const base = {
+                timestamp: ex.metadata?.timestamp || new Date(this.clock.noonOf(ex.date)).toISOString(),
+                exchangeId: ex.id,
+                rank: i + 1
+            };
+            const records = ex.type === 'tool'
+                ? [{ ...base, sender: 'tool', tool: ex.metadata?.tool || ex.userText, invocation: ex.userText, text: ex.agentText || '' }]
+                : ex.type === 'summary' ? [{ ...base, sender: 'summary', text: ex.userText || '' }]
+                : [
+                    ex.userText && { ...base, sender: 'user', text: ex.userText },
+                    ex.agentText && { ...base, sender: 'agent', text: ex.agentText }
+                ].filter(Boolean);
+            if (!byDate.has(ex.date)) byDate.set(ex.date, []);
+            byDate.get(ex.date).push(...records);
+        });
+
+        const dates = [...byDate.keys()].sort();
+        return {
+            description: `search "${selection.query}"`,
+            dates,
+            load: date => byDate.get(date).sort((a, b) => a.timestamp.localeCompare(b.timestamp) || a.rank - b.rank)
+        };
+    }
+
+    _redact(record) {
+        const redact = text => this.redactor.redact(text).text;
+        const out = { ...record, text: redact(record.text || '') };
+        if (record.params) out.params = _mapStrings(record.params, redact);
+        if (record.invocation) out.invocation = redact(record.invocation);
+        if (record.error) out.error = redact(record.error);
+        if (record.revisions) out.revisions = record.revisions.map(r => ({ ...r, text: redact(r.text || '') }));
+        delete out.redactions;
+        return out;
+    }
+}
+
+// ---------------------------------------------------------------
+// Renderers — begin(meta), day(date, records, meta), end(meta, stats)
+// ---------------------------------------------------------------
+
+const SENDER_LABELS = { user: 'User', agent: 'Agent', tool: 'Tool', summary: 'Summary' };
+
+function _label(record) {
+    return SENDER_LABELS[record.sender] || record.sender;
+}
+
+function _summary(stats) {
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return `${plural(stats.messages, 'message')} across ${plural(stats.days, 'day')}.`;
+}
+
+/**
+ * HH:MM of a record in the archive timezone.
+ */
+function _time(record, meta) {
+    return meta.timeOf(record.timestamp);
+}
+
+/**
+ * " (edited HH:MM)" for a message with revisions; the earlier text is
+ * only kept in JSONL exports.
+ */
+function _edited(record, meta) {
+    return record.editedAt ? ` (edited ${meta.timeOf(record.editedAt)})` : '';
+}
+
+/**
+ * Tool parameters as "key=value" pairs.
+ */
+function _params(record) {
+    if (record.invocation) return record.invocation;
+    return Object.entries(record.params || {})
+        .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+        .join(' ');
+}
+
+const _markdown = {
+    begin(meta) {
+        return `# ${meta.title}\n\nNamespace \`${meta.namespace}\` · generated ${meta.generatedAt}\n`;
+    },
+    day(date, records, meta) {
+        const lines = [`\n## ${date}\n`];
+        for (const r of records) {
+            const rank = r.rank ? ` · #${r.rank}` : '';
+            if (r.sender === 'tool') {
+                lines.push(`**${_label(r)}** \`${r.tool}\` · ${_time(r, meta)}${rank}\n`);
+                const params = _params(r);
+                if (params) lines.push(_fence(params));
+                if (r.error) lines.push(`Error: ${r.error}\n`);
+                if (r.text) lines.push(_fence(r.text));
+            } else {
+                lines.push(`**${_label(r)}** · ${_time(r, meta)}${_edited(r, meta)}${rank}\n`);
+                lines.push(`${r.text}\n`);
+            }
+        }
+        return lines.join('\n');
+    },
+    end(meta, stats) {
+        return `\n---\n\n${_summary(stats)}\n`;
+    }
+};
+
+const _html = {
+    begin(meta) {
+        const toc = meta.dates.map(d => `<li><a href="#day-${d}">${d}</a></li>`).join('');
+        return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n' +
+            `<title>${_escape(meta.title)}</title>\n<style>${HTML_STYLE}</style>\n</head>\n<body>\n` +
+            `<header><h1>${_escape(meta.title)}</h1>\n` +
+            `<p class="meta">Namespace <code>${_escape(meta.namespace)}</code> · generated ${_escape(meta.generatedAt)}</p>\n` +
+            `<nav><ul>${toc}</ul></nav></header>\n<main>\n`;
+    },
+    day(date, records, meta) {
+        const items = records.map((r, i) => {
+            const anchor = `m-${date}-${i}`;
+            const rank = r.rank ? ` <span class="rank">#${r.rank}</span>` : '';
+            const tool = r.sender === 'tool' ? ` <code>${_escape(r.tool)}</code>` : '';
+            const params = r.sender === 'tool' && _params(r) ? `<pre class="params">${_escape(_params(r))}</pre>` : '';
+            const error = r.error ? `<p class="error">Error: ${_escape(r.error)}</p>` : '';
+            return `<article class="msg ${_escape(r.sender)}" id="${anchor}">` +
+                `<div class="head"><span class="who">${_escape(_label(r))}</span>${tool}` +
+                ` <a class="time" href="#${anchor}">${_escape(_time(r, meta))}</a>${_escape(_edited(r, meta))}${rank}</div>` +
+                `${params}${error}<div class="text">${_escape(r.text)}</div></article>`;
+        });
+        return `<section id="day-${date}">\n<h2><a href="#day-${date}">${date}</a></h2>\n${items.join('\n')}\n</section>\n`;
+    },
+    end(meta, stats) {
+        return `</main>\n<footer>${_summary(stats)}</footer>\n</body>\n</html>\n`;
+    }
+};
+
+const _jsonl = {
+    begin() {
+        return '';
+    },
+    day(date, records, meta) {
+        return records.map(r => JSON.stringify({ namespace: meta.namespace, date, ...r }) + '\n').join('');
+    },
+    end() {
+        return '';
+    }
+};
+
+const RENDERERS = { markdown: _markdown, html: _html, jsonl: _jsonl };
+
+const HTML_STYLE = [
+    'body{font:15px/1.5 system-ui,sans-serif;max-width:52em;margin:2em auto;padding:0 1em;color:#222}',
+    'nav ul{list-style:none;padding:0;display:flex;flex-wrap:wrap;gap:.25em 1em}',
+    'h2{border-bottom:1px solid #ddd;padding-bottom:.2em;margin-top:2em}',
+    'h2 a,.time{color:inherit;text-decoration:none}',
+    '.meta,.time,.rank,footer{color:#777;font-size:.9em}',
+    '.msg{margin:1em 0;padding:.5em .8em;border-left:3px solid #ccc}',
+    '.msg.user{border-color:#4a7bd0}.msg.agent{border-color:#3a9d5d}.msg.tool{border-color:#b08a2e;background:#faf8f2}',
+    '.msg.summary{border-color:#888;background:#f4f4f4;font-style:italic}',
+    '.who{font-weight:600}.text{white-space:pre-wrap}',
+    'pre{white-space:pre-wrap;background:#f4f4f4;padding:.4em;margin:.3em 0}.error{color:#b00020}'
+].join('');
+
+function _escape(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+/**
+ * Fenced code block that can't be closed early by backticks in the text.
+ */
+function _fence(text) {
+    const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return `${fence}\n${text}\n${fence}\n`;
+}
+
+function _mapStrings(value, fn) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(v => _mapStrings(v, fn));
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const [k, v] of Object.entries(value)) out[k] = _mapStrings(v, fn);
+        return out;
+    }
+    return value;
+}
+
+module.exports = Exporter;
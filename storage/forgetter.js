@@ -0,0 +1,309 @@
+/**
+ * Forgetter — Remove memories from every store at once.
+ *
+ * The archive (daily JSON), the exchanges table, the vector table and
+ * the keyword index all hold copies of the same conversation, and
+ * indexed_dates records what was indexed from it. Forgetting has to
+ * hit all of them together, or the "forgotten" exchange keeps being
+ * recalled from whichever store was missed.
+ *
+ * Selection criteria (any combination, at least one required):
+ *   ids        — exchange, tool or summary record ids (exchange_{date}_{index},
+ *                tool_{date}_{index}, summary_{date}_{index})
+ *   startDate / endDate — whole days (inclusive); alone they remove the days,
+ *                combined with text/query they bound the match
+ *   text       — case-insensitive substring match on message text
+ *   query      — semantic match via the Searcher (vector distance ≤ maxDistance)
+ *
+ * Record ids (given, or from a semantic match) are resolved through the
+ * indexed row's content (Indexer.recordsOf), not their position: an id
+ * whose day changed since it was indexed names nothing in the archive
+ * any more and is reported as an error instead of removing whatever now
+ * sits at that position.
+ *
+ * Whole exchanges are removed (user turn + agent reply) so a reply that
+ * echoes the forgotten text doesn't survive. Exchange ids are positional
+ * within a day, so every touched day is dropped from the index and
+ * re-indexed from what remains in the archive. Records after a removed
+ * one move up and get new ids; the report maps each changed id to its
+ * new one (`renumbered`), and the old ids are no longer valid.
+ */
+
+class Forgetter {
+    /**
+     * @param {object} config - full plugin config (reads forget section)
+     * @param {Archiver} archiver
+     * @param {Indexer|null} indexer - null if storage is unavailable (archive-only)
+     * @param {Searcher|null} searcher - needed for semantic (query) matching
+     */
+    constructor(config = {}, archiver, indexer, searcher) {
+        const fc = config.forget || {};
+        this.archiver = archiver;
+        this.indexer = indexer;
+        this.searcher = searcher;
+        this.maxDistance = fc.semanticMaxDistance || 0.75;
+        this.semanticLimit = fc.semanticLimit || 20;
+    }
+
+    /**
+     * Forget matching memories.
+     *
+     * @param {object} criteria
+     * @param {string[]} [criteria.ids]
+     * @param {string} [criteria.startDate] - YYYY-MM-DD
+     * @param {string} [criteria.endDate] - YYYY-MM-DD
+     * @param {string} [criteria.text]
+     * @param {string} [criteria.query]
+     * @param {number} [criteria.maxDistance]
+     * @param {boolean} [criteria.dryRun] - report what would be removed, change nothing
+     * @returns {Promise<object>} report
+     */
+    async forget(criteria = {}) {
+        const ids = Array.isArray(criteria.ids) ? criteria.ids.filter(Boolean)
+            : criteria.id ? [criteria.id] : [];
+        const text = (criteria.text || '').trim();
+        const query = (criteria.query || '').trim();
+        const { startDate, endDate } = criteria;
+        const hasRange = !!(startDate || endDate);
+
+        if (ids.length === 0 && !text && !query && !hasRange) {
+            throw new Error('forget requires at least one of: ids, startDate/endDate, text, query');
+        }
+
+        const report = {
+            dryRun: !!criteria.dryRun,
+            dates: [],
+            archiveMessages: 0,
+            exchanges: 0,
+            vectors: 0,
+            chunks: 0,
+            reindexed: 0,
+            removedIds: [],
+            renumbered: {},
+            removedTexts: [],
+            errors: []
+        };
+
+        // date → { ids: record ids to resolve, text: match the text, all: whole day }
+        const targets = new Map();
+        const target = date => {
+            if (!targets.has(date)) targets.set(date, { ids: new Set(), text: false, all: false });
+            return targets.get(date);
+        };
+
+        // 1. Explicit record ids
+        for (const id of ids) {
+            const date = _dateOfId(id);
+            if (date) target(date).ids.add(String(id));
+            else report.errors.push(`Unrecognized record id: ${id}`);
+        }
+
+        // 2. Semantic match
+        if (query) {
+            if (!this.searcher) {
+                report.errors.push('Semantic match unavailable: searcher not initialized');
+            } else {
+                const maxDistance = criteria.maxDistance ?? this.maxDistance;
+                const results = await this.searcher.search(query, this.semanticLimit, { mode: 'vector' });
+                if (results.error) report.errors.push(`Semantic match: ${results.error}`);
+                for (const ex of results.exchanges) {
+                    if (ex.distance === null || ex.distance > maxDistance) continue;
+                    if (!_inRange(ex.date, startDate, endDate)) continue;
+                    target(ex.date).ids.add(ex.id);
+                }
+            }
+        }
+
+        // 3. Text match + 4. whole-day range
+        const archiveDates = this.archiver.getDates().filter(d => _inRange(d, startDate, endDate));
+        if (text) {
+            for (const date of archiveDates) target(date).text = true;
+        } else if (hasRange && ids.length === 0 && !query) {
+            for (const date of archiveDates) target(date).all = true;
+            // Days already pruned from the archive can still be in the DB
+            if (this.indexer) {
+                for (const date of this.indexer.getDbDates(startDate, endDate)) target(date).all = true;
+            }
+        }
+
+        // Apply per day
+        for (const [date, dayTarget] of [...targets].sort(([a], [b]) => a.localeCompare(b))) {
+            try {
+                await this._forgetDay(date, dayTarget, text, report);
+            } catch (err) {
+                report.errors.push(`${date}: ${err.message}`);
+            }
+        }
+
+        return report;
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    /**
+     * Remove the targeted records of one day from every store.
+     */
+    async _forgetDay(date, dayTarget, text, report) {
+        const conversation = this.archiver.getConversation(date);
+        const messages = conversation ? conversation.messages : [];
+        const records = this._records(date, messages);
+        const needle = text.toLowerCase();
+
+        // Records to remove: the whole day, text matches, and ids resolved
+        // through their indexed row
+        const chosen = new Set(records.filter(r =>
+            dayTarget.all || (dayTarget.text && r.parts.some(m => _messageText(m).toLowerCase().includes(needle)))
+        ));
+        const dbOnly = [];
+        for (const id of dayTarget.ids) {
+            const record = records.find(r => r.storedId === id);
+            if (record) {
+                chosen.add(record);
+            } else if (!this.indexer) {
+                report.errors.push(`${id}: record ids need the index (storage not available)`);
+            } else if (!this.indexer.getExchange(id)) {
+                report.errors.push(`Unknown record id: ${id}`);
+            } else if (messages.length === 0) {
+                // Archive day already gone; the row is all that is left
+                dbOnly.push(id);
+            } else {
+                report.errors.push(`${id} no longer matches the archive (the day changed since it was indexed); search again for a current id`);
+            }
+        }
+        if (dayTarget.all && this.indexer) {
+            const known = new Set(records.map(r => r.storedId));
+            dbOnly.push(...this.indexer.getExchangeIds(date).filter(id => !known.has(id)));
+        }
+
+        // Messages to remove, by object identity
+        const doomed = new Set(dayTarget.all ? messages : []);
+        const dayIds = [];
+        for (const record of chosen) {
+            for (const m of record.parts) {
+                doomed.add(m);
+                report.removedTexts.push(_messageText(m));
+            }
+            dayIds.push(record.storedId || record.id);
+        }
+        dayIds.push(...dbOnly);
+
+        // Stray messages outside any record that still contain the text
+        if (dayTarget.text) {
+            for (const m of messages) {
+                if (_messageText(m).toLowerCase().includes(needle)) doomed.add(m);
+            }
+        }
+
+        const inDb = this.indexer ? this.indexer.getDbDates(date, date).length > 0 : false;
+
+        if (doomed.size === 0 && dayIds.length === 0) return;
+        report.dates.push(date);
+        report.removedIds.push(...dayIds);
+
+        // Rows of the forgotten records, counted before anything changes
+        if (this.indexer && inDb) {
+            const rows = this.indexer.countExchanges(dayIds);
+            report.vectors += rows.vectors;
+            report.chunks += rows.chunks;
+        }
+
+        if (report.dryRun) {
+            report.archiveMessages += doomed.size;
+            report.exchanges += dayIds.length;
+            return;
+        }
+
+        // Archive
+        let remaining = messages;
+        if (doomed.size > 0) {
+            const result = this.archiver.removeMessages(date, m => doomed.has(m) || _sameMessage(doomed, m));
+            report.archiveMessages += result.removed.length;
+            remaining = result.remaining;
+        }
+
+        if (!this.indexer || !inDb) return;
+
+        // Index: record ids are positional, so drop the whole day and
+        // re-index whatever is left in the archive. Surviving records are
+        // matched to their new ids by content.
+        const removed = new Set(dayIds);
+        const before = this._contentHashes(date, id => !removed.has(id));
+        const deleted = this.indexer.deleteDate(date);
+        const reindexed = remaining.length > 0
+            ? await this.indexer.indexDay(date, remaining)
+            : { indexed: 0 };
+        report.exchanges += Math.max(0, deleted.exchanges - reindexed.indexed);
+        report.reindexed += reindexed.indexed;
+
+        const after = new Map([...this._contentHashes(date)].map(([id, hash]) => [hash, id]));
+        for (const [id, hash] of before) {
+            const newId = after.get(hash);
+            if (newId && newId !== id) report.renumbered[id] = newId;
+        }
+    }
+
+    /**
+     * Stored content hash of each indexed record of a day (id → hash).
+     */
+    _contentHashes(date, filter = () => true) {
+        const hashes = new Map();
+        for (const id of this.indexer.getExchangeIds(date).filter(filter)) {
+            const row = this.indexer.getExchange(id);
+            if (row) hashes.set(id, row.content_hash);
+        }
+        return hashes;
+    }
+
+    /**
+     * The day's records with the stored row behind each (Indexer.recordsOf).
+     */
+    _records(date, messages) {
+        if (this.indexer) return this.indexer.recordsOf(date, messages);
+        // Archive-only fallback: one record per message, nothing stored
+        const counts = {};
+        return messages.map(m => {
+            const kind = m.sender === 'tool' || m.sender === 'summary' ? m.sender : 'exchange';
+            const n = counts[kind] = (counts[kind] ?? -1) + 1;
+            return { id: `${kind}_${date}_${n}`, kind, parts: [m], storedId: null };
+        });
+    }
+}
+
+/**
+ * Messages are re-read from disk by removeMessages(), so match by
+ * content as well as identity.
+ */
+function _sameMessage(doomed, msg) {
+    for (const m of doomed) {
+        if (m.timestamp === msg.timestamp && m.sender === msg.sender && m.text === msg.text) return true;
+    }
+    return false;
+}
+
+/**
+ * Searchable text of a message, including its earlier revisions; for
+ * tool records also the tool name, parameters and error.
+ */
+function _messageText(msg) {
+    if (msg.sender !== 'tool') return [msg.text, ...(msg.revisions || []).map(r => r.text)].filter(Boolean).join('\n');
+    return [msg.tool, JSON.stringify(msg.params || {}), msg.error, msg.text].filter(Boolean).join('\n');
+}
+
+/**
+ * Date of an "exchange_<date>_<n>", "tool_<date>_<n>" or
+ * "summary_<date>_<n>" record id; null for anything else.
+ */
+function _dateOfId(id) {
+    const match = /^(?:exchange|tool|summary)_(\d{4}-\d{2}-\d{2})_\d+$/.exec(String(id));
+    return match ? match[1] : null;
+}
+
+function _inRange(date, startDate, endDate) {
+    if (startDate && date < startDate) return false;
+    if (endDate && date > endDate) return false;
+    return true;
+}
+
+module.exports = Forgetter;
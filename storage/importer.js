@@ -0,0 +1,433 @@
+/**
+ * Importer — Seed the archive from existing transcripts and chat exports.
+ *
+ * Supported formats:
+ *   openclaw — OpenClaw session transcripts
+ *              (~/.openclaw/agents/{agent}/sessions/{id}.jsonl)
+ *   chatgpt  — conversations.json from a ChatGPT data export
+ *   claude   — conversations.json from a Claude data export
+ *
+ * Each file is parsed into conversations of `{ id, timestamp, sender,
+ * text }` messages and archived with the original timestamps, so the
+ * messages land on the days they were written. Every message gets a
+ * stable id derived from its source conversation and message id, which
+ * makes re-importing a file a no-op; the Archiver also matches messages
+ * already archived live (same timestamp, sender and text). Days older
+ * than archive.retentionDays are skipped, since maintenance would prune
+ * them straight away. Once every file is archived, the imported days are
+ * indexed, so imported history is searchable when the import returns; a
+ * day that fails to embed is left for the maintenance service.
+ *
+ * Sources are confined to the imports directory (import.dir): relative
+ * paths resolve against it, and a path outside it is refused before
+ * anything is read. Directories are searched recursively for `*.jsonl`
+ * transcripts and `conversations.json` exports. A file that fails to
+ * parse is reported and the import moves on to the next one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Archiver = require('./archiver');
+
+const FORMATS = ['openclaw', 'chatgpt', 'claude'];
+const EXPORT_FILE = /^conversations(-\d+)?\.json$/;
+
+class Importer {
+    /**
+     * @param {object} config - full plugin config
+     * @param {Archiver} archiver
+     * @param {Indexer|null} indexer - null if storage is unavailable (archive-only)
+     * @param {object} [options]
+     * @param {function(string): string} [options.cleanUserText] - strips plugin
+     *        context blocks that OpenClaw baked into user messages
+     * @param {string} [options.importsDir] - sources must lie inside it
+     */
+    constructor(config = {}, archiver, indexer, options = {}) {
+        this.archiver = archiver;
+        this.indexer = indexer;
+        this.cleanUserText = options.cleanUserText || (text => text);
+        this.importsDir = options.importsDir || null;
+    }
+
+    /**
+     * Resolve an import source under importsDir. Relative paths resolve
+     * against it; a path that ends up outside it (absolute, or climbing
+     * out with "..") is refused. The directory itself is a valid source.
+     *
+     * @param {string} importsDir
+     * @param {string} source
+     * @returns {string} absolute path
+     */
+    static resolveSource(importsDir, source) {
+        const root = path.resolve(importsDir);
+        const resolved = path.resolve(root, String(source));
+        const relative = path.relative(root, resolved);
+        if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+            throw new Error(`Import path "${source}" must be inside the imports directory (${root})`);
+        }
+        return resolved;
+    }
+
+    /**
+     * Import files and directories.
+     *
+     * @param {object} params
+     * @param {string|string[]} params.paths - files and/or directories
+     * @param {string} [params.format] - 'auto' (default), 'openclaw', 'chatgpt' or 'claude'
+     * @param {function(object): void} [onProgress] - called after each file and
+     *        each indexed day with { phase: 'reading'|'indexing', file, filesDone,
+     *        filesTotal, imported, datesDone, datesTotal }
+     * @returns {Promise<object>} report with totals and one entry per file
+     */
+    async import(params = {}, onProgress = null) {
+        const paths = [].concat(params.paths || params.path || []).filter(Boolean);
+        if (paths.length === 0) {
+            throw new Error('import requires paths (files or directories)');
+        }
+        const format = params.format || 'auto';
+        if (format !== 'auto' && !FORMATS.includes(format)) {
+            throw new Error(`Unknown import format "${format}" (expected auto, ${FORMATS.join(', ')})`);
+        }
+        const sources = paths.map(p => (this.importsDir ? Importer.resolveSource(this.importsDir, p) : path.resolve(String(p))));
+
+        const report = {
+            files: [],
+            conversations: 0,
+            messages: 0,
+            imported: 0,
+            edited: 0,
+            duplicates: 0,
+            expired: 0,
+            skipped: 0,
+            dates: [],
+            indexedDays: 0,
+            embedded: 0,
+            unindexedDays: [],
+            errors: []
+        };
+
+        const files = _collectFiles(sources, report.errors);
+        // First day Archiver.pruneOld() keeps
+        const cutoff = this.archiver.retentionCutoff();
+        const touched = new Set();
+
+        for (let i = 0; i < files.length; i++) {
+            const entry = this._importFile(files[i], format, cutoff, touched);
+            report.files.push(entry);
+            for (const key of ['conversations', 'messages', 'imported', 'edited', 'duplicates', 'expired', 'skipped']) {
+                report[key] += entry[key];
+            }
+            if (entry.error) report.errors.push(`${entry.path}: ${entry.error}`);
+
+            console.log(
+                `[Importer] (${i + 1}/${files.length}) ${entry.path}: ` +
+                (entry.error
+                    ? `failed — ${entry.error}`
+                    : `${entry.format}, imported ${entry.imported}, edited ${entry.edited}, duplicates ${entry.duplicates}, expired ${entry.expired}`)
+            );
+            if (onProgress) {
+                onProgress({
+                    phase: 'reading', file: entry.path, filesDone: i + 1, filesTotal: files.length,
+                    imported: report.imported, datesDone: 0, datesTotal: 0
+                });
+            }
+            // Let hooks and gateway calls run between files
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        report.dates = [...touched].sort();
+        if (!this.indexer) {
+            report.unindexedDays = report.dates;
+            return report;
+        }
+
+        for (let i = 0; i < report.dates.length; i++) {
+            const date = report.dates[i];
+            try {
+                const conversation = this.archiver.getConversation(date);
+                const result = await this.indexer.indexDay(date, conversation?.messages || []);
+                report.embedded += result.embedded;
+            } catch (err) {
+                this.indexer.unmarkIndexed(date);
+                report.errors.push(`Indexing ${date}: ${err.message}`);
+            }
+            // indexDay leaves a day it couldn't fully embed for maintenance
+            if (this.indexer.getIndexedDates().has(date)) {
+                report.indexedDays++;
+            } else {
+                report.unindexedDays.push(date);
+            }
+            if (onProgress) {
+                onProgress({
+                    phase: 'indexing', file: null, filesDone: files.length, filesTotal: files.length,
+                    imported: report.imported, datesDone: i + 1, datesTotal: report.dates.length
+                });
+            }
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return report;
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    /**
+     * Parse and archive one file. Errors are recorded on the entry.
+     */
+    _importFile(filePath, format, cutoff, touched) {
+        const entry = {
+            path: filePath,
+            format: null,
+            conversations: 0,
+            messages: 0,
+            imported: 0,
+            edited: 0,
+            duplicates: 0,
+            expired: 0,
+            skipped: 0
+        };
+
+        let parsed;
+        try {
+            parsed = _parseFile(filePath, format);
+        } catch (err) {
+            entry.error = err.message;
+            return entry;
+        }
+        entry.format = parsed.format;
+
+        for (const conversation of parsed.conversations) {
+            const source = `import:${parsed.format}:${conversation.id}`;
+            const batch = [];
+            let last = conversation.start;
+
+            conversation.messages.forEach((msg, index) => {
+                let text = msg.text || '';
+                if (msg.sender === 'user') text = this.cleanUserText(text);
+                if (!text.trim()) return;
+                entry.messages++;
+
+                // Untimed messages follow the previous one, in order
+                const time = msg.time ?? (last !== null ? last + 1 : null);
+                if (time === null) {
+                    entry.skipped++;
+                    return;
+                }
+                last = time;
+                const timestamp = new Date(time).toISOString();
+                if (this.archiver.clock.dateOf(timestamp) < cutoff) {
+                    entry.expired++;
+                    return;
+                }
+
+                batch.push({
+                    id: Archiver.messageId(source, msg.id || `#${index}`),
+                    role: msg.sender === 'user' ? 'user' : 'assistant',
+                    content: text,
+                    timestamp
+                });
+            });
+
+            if (batch.length === 0) continue;
+            entry.conversations++;
+            const result = this.archiver.archive(batch);
+            entry.imported += result.archived;
+            entry.edited += result.edited;
+            entry.duplicates += batch.length - result.archived - result.edited;
+            for (const date of result.dates) touched.add(date);
+        }
+
+        return entry;
+    }
+}
+
+/**
+ * Expand directories into the transcript and export files inside them.
+ * @param {string[]} paths - absolute paths
+ */
+function _collectFiles(paths, errors) {
+    const files = [];
+    const walk = dir => {
+        for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+            if (dirent.name.startsWith('.')) continue;
+            const full = path.join(dir, dirent.name);
+            if (dirent.isDirectory()) walk(full);
+            else if (dirent.name.endsWith('.jsonl') || EXPORT_FILE.test(dirent.name)) files.push(full);
+        }
+    };
+
+    for (const resolved of paths) {
+        try {
+            if (fs.statSync(resolved).isDirectory()) walk(resolved);
+            else files.push(resolved);
+        } catch (err) {
+            errors.push(`${resolved}: ${err.code === 'ENOENT' ? 'not found' : err.message}`);
+        }
+    }
+    return [...new Set(files)].sort();
+}
+
+/**
+ * Read a file as the given format, or detect it.
+ * @returns {{ format: string, conversations: Array<{ id: string, start: number|null, messages: object[] }> }}
+ */
+function _parseFile(filePath, format) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (format === 'openclaw' || (format === 'auto' && filePath.endsWith('.jsonl'))) {
+        return { format: 'openclaw', conversations: [_parseOpenClaw(text, filePath)] };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    const list = Array.isArray(data) ? data : [data];
+    const sample = list.find(c => c && typeof c === 'object') || {};
+    const detected = format !== 'auto' ? format
+        : sample.mapping ? 'chatgpt'
+            : sample.chat_messages ? 'claude'
+                : null;
+
+    if (detected === 'chatgpt') return { format: detected, conversations: list.map(_parseChatGptConversation) };
+    if (detected === 'claude') return { format: detected, conversations: list.map(_parseClaudeConversation) };
+    throw new Error('Unrecognized format (expected an OpenClaw transcript or a ChatGPT/Claude conversations.json)');
+}
+
+/**
+ * OpenClaw session transcript: one JSON entry per line, the first a
+ * `session` header; `message` entries wrap { role, content, timestamp }.
+ * Unreadable lines (e.g. a torn last line) are skipped.
+ */
+function _parseOpenClaw(text, filePath) {
+    let id = path.basename(filePath, '.jsonl');
+    let start = null;
+    const messages = [];
+
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue;
+        }
+        if (entry?.type === 'session') {
+            if (entry.id) id = String(entry.id);
+            start = _toMillis(entry.timestamp);
+            continue;
+        }
+        const message = entry?.type === 'message' ? entry.message : entry?.role ? entry : null;
+        if (message?.role !== 'user' && message?.role !== 'assistant') continue;
+
+        messages.push({
+            id: entry.id || message.id || null,
+            time: _toMillis(message.timestamp) ?? _toMillis(entry.timestamp),
+            sender: message.role === 'user' ? 'user' : 'agent',
+            text: _joinContent(message.content)
+        });
+    }
+    if (messages.length === 0 && start === null) {
+        throw new Error('No OpenClaw session entries found');
+    }
+    return { id, start, messages };
+}
+
+/**
+ * ChatGPT conversation: messages form a tree (`mapping`) with a branch
+ * per edit or regeneration. The branch ending at `current_node` is the
+ * one the user last saw; without it, all messages in time order.
+ */
+function _parseChatGptConversation(conv, index) {
+    const mapping = conv?.mapping || {};
+    let nodes = [];
+    const seen = new Set();
+    for (let nodeId = conv?.current_node; nodeId && mapping[nodeId] && !seen.has(nodeId); nodeId = mapping[nodeId].parent) {
+        seen.add(nodeId);
+        nodes.push(mapping[nodeId]);
+    }
+    nodes.reverse();
+    if (nodes.length === 0) {
+        nodes = Object.values(mapping)
+            .filter(n => n?.message)
+            .sort((a, b) => (a.message.create_time || 0) - (b.message.create_time || 0));
+    }
+
+    const messages = [];
+    for (const node of nodes) {
+        const m = node?.message;
+        const role = m?.author?.role;
+        if (role !== 'user' && role !== 'assistant') continue;
+        // Tool invocations, reasoning and hidden system scaffolding
+        if (m.recipient && m.recipient !== 'all') continue;
+        if (m.metadata?.is_visually_hidden_from_conversation) continue;
+        const type = m.content?.content_type;
+        if (type && type !== 'text' && type !== 'multimodal_text') continue;
+
+        messages.push({
+            id: m.id || node.id || null,
+            time: m.create_time ? Math.round(m.create_time * 1000) : null,
+            sender: role === 'user' ? 'user' : 'agent',
+            text: (m.content?.parts || []).filter(p => typeof p === 'string').join('\n')
+        });
+    }
+
+    return {
+        id: String(conv?.id || conv?.conversation_id || index),
+        start: conv?.create_time ? Math.round(conv.create_time * 1000) : null,
+        messages
+    };
+}
+
+/**
+ * Claude conversation: a flat `chat_messages` list with `sender`
+ * 'human' or 'assistant'; text is in `content` blocks (newer exports)
+ * or `text`.
+ */
+function _parseClaudeConversation(conv, index) {
+    const messages = [];
+    for (const m of conv?.chat_messages || []) {
+        if (m?.sender !== 'human' && m?.sender !== 'assistant') continue;
+        const blocks = Array.isArray(m.content)
+            ? m.content.filter(c => c?.type === 'text' && typeof c.text === 'string').map(c => c.text)
+            : [];
+        messages.push({
+            id: m.uuid || null,
+            time: _toMillis(m.created_at),
+            sender: m.sender === 'human' ? 'user' : 'agent',
+            text: blocks.length > 0 ? blocks.join('\n') : (m.text || '')
+        });
+    }
+
+    return {
+        id: String(conv?.uuid || index),
+        start: _toMillis(conv?.created_at),
+        messages
+    };
+}
+
+/**
+ * Message text the way the live archive extracts it, so an imported
+ * transcript message matches the one archived from agent_end.
+ */
+function _joinContent(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.map(c => c.text || c.content || '').join(' ');
+    }
+    return String(content || '');
+}
+
+/**
+ * Epoch milliseconds from an ISO string or a number; null if invalid.
+ */
+function _toMillis(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const ms = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+}
+
+module.exports = Importer;
@@ -4,38 +4,110 @@
  * Extracted from Clint's archiveIndexer.js (251 lines).
  * Replaces ChromaDB with SQLite-vec (same pattern as knowledgeSystem.js).
  *
- * Pairs user/agent exchanges from daily archives, generates 384-dim
- * embeddings via Xenova/all-MiniLM-L6-v2, and stores them in a SQLite
- * database for semantic retrieval.
+ * Groups daily archive messages into turns — every user message up to
+ * the agent's reply, then every agent message until the user speaks
+ * again — and embeds each turn (an "exchange") through the
+ * shared EmbeddingProvider (llama.cpp, OpenAI-compatible, Ollama, ONNX,
+ * transformers.js or a registered backend), and stores them in a SQLite
+ * database for semantic retrieval. Exchange text is mirrored into an
+ * FTS5 table (exchanges_fts) for BM25 keyword retrieval.
  *
- * Requires: better-sqlite3, sqlite-vec, @chroma-core/default-embed
+ * Text is redacted again before embedding, so days archived before
+ * redaction was enabled (or with looser rules) never reach the index raw.
+ *
+ * Archived tool calls (sender 'tool') are indexed as their own records
+ * (kind 'tool', id "tool_<date>_<n>") next to the turns, so what the
+ * agent read, ran or looked up can be searched too. Summaries that
+ * retention tiering leaves of expired days (sender 'summary') are
+ * records of kind 'summary', id "summary_<date>_<n>".
+ *
+ * Exchanges longer than embedding.chunkSize are embedded as overlapping
+ * chunks (exchange_chunks), each with its own vector keyed
+ * "<exchange id>#<n>", so details deep in a long answer stay findable
+ * instead of being cut off by the model's context window.
+ *
+ * Each exchange row carries a content hash; re-indexing a day only
+ * embeds exchanges that are new or whose text changed, so indexing
+ * today's archive on every turn stays cheap.
+ *
+ * Which dates are indexed — with their exchange count, a content hash
+ * over the day's rows and the embedding model id — lives in the
+ * indexed_dates table, next to the rows it describes. Schema changes
+ * are applied by the ordered migrations in storage/migrations.js.
+ *
+ * With encryption enabled (lib/cipher.js), user_text, agent_text,
+ * combined and chunk text are stored encrypted, content hashes are
+ * keyed, and the keyword index is left empty — FTS5 can only index
+ * plaintext. The key id is recorded in the meta table, so opening the
+ * database with another key, or none, fails instead of returning
+ * unreadable rows.
+ *
+ * Rows are filed under archive days, which are calendar days in
+ * archive.timezone. The zone they were filed in is recorded in meta
+ * (day_timezone); after the archive is re-bucketed into another zone,
+ * alignDays() drops rows for days that no longer exist and queues the
+ * rest for re-indexing.
+ *
+ * Vector tables are tagged with the embedding model id (vector_tables).
+ * When the model or dimension changes, a new table is built beside the
+ * active one from the stored exchange text (blue/green). Searches keep
+ * using the active table until the new one covers every exchange, then
+ * the two are swapped in one transaction and the old table is dropped.
+ *
+ * Requires: better-sqlite3, sqlite-vec, plus whatever the embedding backend needs
  */
 
 const Database = require('better-sqlite3');
 const sqliteVec = require('sqlite-vec');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const Redactor = require('../lib/redactor');
+const Cipher = require('../lib/cipher');
+const DayClock = require('../lib/day-clock');
+const EmbeddingProvider = require('./embedding-provider');
+const { migrate, dateState } = require('./migrations');
+
+const SENDER_LABELS = { user: 'User', agent: 'Agent' };
 
 class Indexer {
     /**
      * @param {object} config - full plugin config (reads embedding section)
      * @param {string} dataDir - plugin data directory
+     * @param {object} [options]
+     * @param {EmbeddingProvider} [options.embeddings] - shared provider (one is created if omitted)
+     * @param {Cipher|null} [options.cipher] - encrypts stored text when set
      */
-    constructor(config = {}, dataDir) {
+    constructor(config = {}, dataDir, options = {}) {
         const ec = config.embedding || {};
         this.dbPath = path.join(dataDir, ec.dbFile || 'continuity.db');
         this.dimensions = ec.dimensions || 768;
-        this.model = ec.model || 'Xenova/all-MiniLM-L6-v2';
+        // Pre-migration index log, imported into indexed_dates once
         this.indexLogPath = path.join(dataDir, 'index-log.json');
+        this.schemaVersion = 0;
+
+        this.reindexBatch = ec.reindexBatch || 100;
+        // Characters per chunk (0 = never chunk) and overlap between chunks
+        this.chunkSize = ec.chunkSize ?? 1000;
+        this.chunkOverlap = Math.min(ec.chunkOverlap ?? 150, Math.floor(this.chunkSize / 2));
+        this.reindexDelay = config.archive?.batchIndexDelay ?? 100;
 
         this.db = null;
-        this._embeddingFn = null;
-        this._embeddingPipeline = null;
+        this.embeddings = options.embeddings || new EmbeddingProvider(config);
+        this.cipher = options.cipher || null;
+        // Active (searched) vector table, and the one being built, if any
+        this.vecTable = 'vec_exchanges';
+        this.buildTable = null;
+        this._reindexPromise = null;
+        this._closed = false;
+        this._redactor = new Redactor(config);
+        this.clock = new DayClock(config);
         this._initialized = false;
     }
 
     /**
-     * Initialize: open DB, load sqlite-vec, create tables, init embedding model.
+     * Initialize: open DB, load sqlite-vec, init embedding model, run
+     * schema migrations, set up vector tables.
      * @returns {boolean} success
      */
     async initialize() {
@@ -58,11 +130,15 @@ class Indexer {
             // WAL mode for concurrent read performance
             this.db.pragma('journal_mode = WAL');
 
-            // Initialize embeddings FIRST — this may update this.dimensions
-            // (e.g. llama.cpp returns 768d instead of default 384d)
-            await this._initEmbeddings();
+            // Initialize embeddings FIRST — the probe decides this.dimensions
+            // (e.g. llama.cpp returns 768d, ONNX 384d). A shared provider
+            // that is already initialized returns immediately.
+            await this.embeddings.initialize();
+            this.dimensions = this.embeddings.dimensions;
 
             // Create tables AFTER dimensions are known
+            this.schemaVersion = migrate(this.db, { indexLogPath: this.indexLogPath }).to;
+            this._checkEncryption();
             this._createTables();
 
             this._initialized = true;
@@ -77,9 +153,14 @@ class Indexer {
     /**
      * Index a day's conversations from the archive.
      *
+     * Idempotent: records whose content hash matches the stored row are
+     * skipped, new or changed ones are embedded, and rows the day no
+     * longer produces (e.g. after messages were removed) are deleted.
+     *
      * @param {string} date - YYYY-MM-DD
      * @param {Array} messages - messages from the archiver
-     * @returns {{ indexed: number, date: string }}
+     * @returns {{ indexed: number, embedded: number, skipped: number, removed: number, date: string }}
+     *          indexed = exchanges and tool records of the day now in the index (embedded + skipped)
      */
     async indexDay(date, messages) {
         if (!this._initialized) {
@@ -87,67 +168,131 @@ class Indexer {
         }
 
         if (!messages || messages.length === 0) {
-            return { indexed: 0, date };
+            return { indexed: 0, embedded: 0, skipped: 0, removed: 0, date };
         }
 
-        // Pair exchanges
-        const exchanges = this._pairExchanges(messages);
+        const records = this._buildRecords(date, messages);
+
+        // Stored rows for the day: id → { content_hash, exchange_index }
+        const stored = new Map(
+            this.db.prepare('SELECT id, exchange_index, content_hash FROM exchanges WHERE date = ?')
+                .all(date)
+                .map(row => [row.id, row])
+        );
 
         const insertExchange = this.db.prepare(`
             INSERT OR REPLACE INTO exchanges
-            (id, date, exchange_index, user_text, agent_text, combined, metadata, created_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))
+            (id, date, exchange_index, kind, user_text, agent_text, combined, metadata, content_hash, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+        `);
+        const selectChunkIds = this.db.prepare('SELECT id FROM exchange_chunks WHERE exchange_id = ?');
+        const deleteChunks = this.db.prepare('DELETE FROM exchange_chunks WHERE exchange_id = ?');
+        const insertChunk = this.db.prepare(`
+            INSERT INTO exchange_chunks (id, exchange_id, chunk_index, text)
+            VALUES (?, ?, ?, ?)
         `);
 
         // sqlite-vec virtual tables don't support INSERT OR REPLACE,
         // so delete first then insert
-        const deleteVec = this.db.prepare(`DELETE FROM vec_exchanges WHERE id = ?`);
+        // New vectors go to the table being built when a re-index is under
+        // way — they come from the new model and can't join the active table.
+        const vecTable = this.buildTable || this.vecTable;
+        const deleteVec = this.db.prepare(`DELETE FROM ${vecTable} WHERE id = ?`);
         const insertVec = this.db.prepare(`
-            INSERT INTO vec_exchanges (id, embedding)
+            INSERT INTO ${vecTable} (id, embedding)
             VALUES (?, ?)
         `);
+        const deleteFts = this.db.prepare(`DELETE FROM exchanges_fts WHERE id = ?`);
+        const insertFts = this.db.prepare(`
+            INSERT INTO exchanges_fts (id, user_text, agent_text)
+            VALUES (?, ?, ?)
+        `);
 
-        let indexed = 0;
-
-        for (let i = 0; i < exchanges.length; i++) {
-            const exchange = exchanges[i];
-            const combined = this._formatExchange(exchange, date);
-            const id = `exchange_${date}_${i}`;
+        // Work out what needs embedding
+        const pending = [];
+        let skipped = 0;
+        for (const record of records) {
+            const contentHash = this._contentHash(record.combined);
+            if (stored.get(record.id)?.content_hash === contentHash) {
+                skipped++;
+                continue;
+            }
+            // One vector for the whole record, or one per chunk
+            const chunks = this._chunkExchange(record.combined);
+            const units = chunks.length > 1
+                ? chunks.map((text, n) => ({ id: `${record.id}#${n}`, text }))
+                : [{ id: record.id, text: record.combined }];
+            pending.push({ ...record, contentHash, units });
+        }
 
+        // Embed in backend-sized batches; a failed batch is retried next run
+        let embedded = 0;
+        let failed = 0;
+        for (let b = 0; b < pending.length; b += this.embeddings.batchSize) {
+            const batch = pending.slice(b, b + this.embeddings.batchSize);
+            const texts = batch.flatMap(p => p.units.map(u => u.text));
+            let embeddings;
             try {
-                const embedding = await this._embed(combined);
-                if (!embedding) continue;
-
-                const metadata = JSON.stringify({
-                    timestamp: exchange.user?.timestamp || exchange.agent?.timestamp,
-                    hasUser: !!exchange.user,
-                    hasAgent: !!exchange.agent
-                });
+                embeddings = await this.embeddings.embedDocuments(texts);
+            } catch (err) {
+                console.warn(`[Indexer] Embedding generation failed for ${batch.length} exchanges on ${date}:`, err.message);
+                failed += batch.length;
+                continue;
+            }
 
-                const transaction = this.db.transaction(() => {
-                    insertExchange.run(
-                        id, date, i,
-                        exchange.user?.text || '',
-                        exchange.agent?.text || '',
-                        combined,
-                        metadata
-                    );
-                    deleteVec.run(id);
-                    insertVec.run(id, new Float32Array(embedding));
-                });
-                transaction();
+            let offset = 0;
+            for (const { id, index, kind, userText, agentText, combined, metadata, contentHash, units } of batch) {
+                const vectors = embeddings.slice(offset, offset + units.length);
+                offset += units.length;
+                try {
+                    const transaction = this.db.transaction(() => {
+                        insertExchange.run(
+                            id, date, index, kind,
+                            this._seal(userText),
+                            this._seal(agentText),
+                            this._seal(combined),
+                            JSON.stringify({ ...metadata, chunks: units.length }),
+                            contentHash
+                        );
+                        // Replace the previous vectors, whether it was chunked or not
+                        for (const old of [id, ...selectChunkIds.all(id).map(r => r.id)]) {
+                            deleteVec.run(old);
+                        }
+                        deleteChunks.run(id);
+                        units.forEach((unit, n) => {
+                            if (units.length > 1) insertChunk.run(unit.id, id, n, this._seal(unit.text));
+                            insertVec.run(unit.id, new Float32Array(vectors[n]));
+                        });
+                        deleteFts.run(id);
+                        if (!this.cipher) insertFts.run(id, userText, agentText);
+                    });
+                    transaction();
 
-                indexed++;
-            } catch (err) {
-                console.warn(`[Indexer] Failed to index exchange ${id}:`, err.message);
+                    embedded++;
+                } catch (err) {
+                    console.warn(`[Indexer] Failed to index exchange ${id}:`, err.message);
+                    failed++;
+                }
             }
         }
 
-        // Mark date as indexed
-        this.markIndexed(date);
+        // Rows the day's current records no longer produce have no source
+        const current = new Set(records.map(r => r.id));
+        const orphaned = [...stored.keys()].filter(id => !current.has(id));
+        const removed = this.deleteExchanges(orphaned).exchanges;
 
-        console.log(`[Indexer] Indexed ${indexed} exchanges for ${date}`);
-        return { indexed, date };
+        // Mark date as indexed — or, if anything failed, leave it for
+        // maintenance to retry
+        if (failed === 0) {
+            this.markIndexed(date);
+        } else {
+            this.unmarkIndexed(date);
+        }
+
+        if (embedded > 0 || removed > 0) {
+            console.log(`[Indexer] ${date}: embedded ${embedded}, skipped ${skipped}, removed ${removed}`);
+        }
+        return { indexed: embedded + skipped, embedded, skipped, removed, date };
     }
 
     /**
@@ -155,36 +300,370 @@ class Indexer {
      * @returns {Set<string>}
      */
     getIndexedDates() {
-        try {
-            if (fs.existsSync(this.indexLogPath)) {
-                const log = JSON.parse(fs.readFileSync(this.indexLogPath, 'utf8'));
-                return new Set(log.dates || []);
-            }
-        } catch (err) {
-            console.warn('[Indexer] Failed to read index log:', err.message);
+        if (!this.db) return new Set();
+        return new Set(this.db.prepare('SELECT date FROM indexed_dates').all().map(r => r.date));
+    }
+
+    /**
+     * Match the index's days to an archive bucketed in the configured
+     * timezone. If the rows were filed under another zone (UTC before
+     * archive.timezone existed), rows for days the archive no longer has
+     * are deleted and every date is queued for re-indexing. Re-bucketing
+     * moves a message by at most a day, so days more than a day before the
+     * archive's first date are left alone — they were pruned from the
+     * archive, not moved.
+     * @param {string[]} archiveDates - the archive's dates, sorted
+     * @returns {{ removed: number }}
+     */
+    alignDays(archiveDates) {
+        if (!this.db) return { removed: 0 };
+        const zone = this.clock.timeZone;
+        const stored = this.db.prepare("SELECT value FROM meta WHERE key = 'day_timezone'").get()?.value || null;
+        if (stored === zone) return { removed: 0 };
+
+        let removed = 0;
+        const hasRows = !!this.db.prepare('SELECT 1 FROM exchanges LIMIT 1').get();
+        if (hasRows && (stored || 'UTC') !== zone) {
+            const keep = new Set(archiveDates);
+            const stale = archiveDates.length === 0 ? []
+                : this.getDbDates(DayClock.shiftDate(archiveDates[0], -1)).filter(date => !keep.has(date));
+            for (const date of stale) removed += this.deleteExchanges(this.getExchangeIds(date)).exchanges;
+            this.db.prepare('DELETE FROM indexed_dates').run();
+            console.log(`[Indexer] Days moved from ${stored || 'UTC'} to ${zone}: removed ${removed} stale exchanges, re-indexing all dates`);
         }
-        return new Set();
+        this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('day_timezone', ?)").run(zone);
+        return { removed };
     }
 
     /**
-     * Record a date as indexed.
+     * Index state recorded for a date.
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{ date: string, exchangeCount: number, contentHash: string, modelId: string, indexedAt: string }|null}
+     */
+    getDateState(date) {
+        if (!this.db) return null;
+        const row = this.db.prepare('SELECT * FROM indexed_dates WHERE date = ?').get(date);
+        return row ? {
+            date: row.date,
+            exchangeCount: row.exchange_count,
+            contentHash: row.content_hash,
+            modelId: row.model_id,
+            indexedAt: row.indexed_at
+        } : null;
+    }
+
+    /**
+     * Record a date as indexed, with the exchange count and content hash
+     * of its stored rows and the current embedding model id.
      * @param {string} date - YYYY-MM-DD
      */
     markIndexed(date) {
-        try {
-            let log = { dates: [], lastIndexed: null };
-            if (fs.existsSync(this.indexLogPath)) {
-                log = JSON.parse(fs.readFileSync(this.indexLogPath, 'utf8'));
+        if (!this.db) return;
+        const { exchangeCount, contentHash } = dateState(this.db, date);
+        this.db.prepare(`
+            INSERT OR REPLACE INTO indexed_dates (date, exchange_count, content_hash, model_id, indexed_at)
+            VALUES (?, ?, ?, ?, datetime('now'))
+        `).run(date, exchangeCount, contentHash, this.embeddings.modelId);
+    }
+
+    /**
+     * Forget that a date was indexed so maintenance re-indexes it.
+     * @param {string} date - YYYY-MM-DD
+     */
+    unmarkIndexed(date) {
+        if (!this.db) return;
+        this.db.prepare('DELETE FROM indexed_dates WHERE date = ?').run(date);
+    }
+
+    /**
+     * Get a single indexed exchange row.
+     * @param {string} id
+     * @returns {object|null}
+     */
+    getExchange(id) {
+        if (!this.db) return null;
+        const row = this.db.prepare('SELECT * FROM exchanges WHERE id = ?').get(id);
+        if (!row) return null;
+        return {
+            ...row,
+            user_text: this._unseal(row.user_text),
+            agent_text: this._unseal(row.agent_text),
+            combined: this._unseal(row.combined)
+        };
+    }
+
+    /**
+     * The archive messages behind a stored record. The day's messages are
+     * grouped exactly as indexDay() does and the record whose content
+     * matches the stored row is returned, wherever it sits now — so an id
+     * whose day changed since it was indexed doesn't land on another turn.
+     *
+     * @param {string} id
+     * @param {string} date - YYYY-MM-DD
+     * @param {Array} messages - the day's archive messages
+     * @returns {Array|null} the record's messages; null if the row is gone
+     *          or no longer matches the archive
+     */
+    resolveRecord(id, date, messages) {
+        const record = this.recordsOf(date, messages).find(r => r.storedId === id);
+        return record ? record.parts : null;
+    }
+
+    /**
+     * The records a day's messages produce, grouped exactly as indexDay()
+     * does, each with the id of the stored row holding the same content
+     * (`storedId`, null when the record isn't indexed as it is now).
+     *
+     * @param {string} date - YYYY-MM-DD
+     * @param {Array} messages - the day's archive messages
+     * @returns {Array<{ id: string, kind: string, parts: Array, storedId: string|null }>}
+     */
+    recordsOf(date, messages) {
+        const stored = this.db
+            ? this.db.prepare('SELECT id, kind, content_hash FROM exchanges WHERE date = ?').all(date)
+            : [];
+        const claimed = new Set();
+        return this._buildRecords(date, messages || []).map(record => {
+            const hash = this._contentHash(record.combined);
+            const matches = stored.filter(row => row.kind === record.kind && row.content_hash === hash && !claimed.has(row.id));
+            // Identical records keep their own position where they can
+            const row = matches.find(r => r.id === record.id) || matches[0] || null;
+            if (row) claimed.add(row.id);
+            return { id: record.id, kind: record.kind, parts: record.parts, storedId: row ? row.id : null };
+        });
+    }
+
+    /**
+     * Distinct indexed dates, optionally limited to a range.
+     * @param {string} [startDate] - YYYY-MM-DD (inclusive)
+     * @param {string} [endDate] - YYYY-MM-DD (inclusive)
+     * @returns {string[]}
+     */
+    getDbDates(startDate, endDate) {
+        if (!this.db) return [];
+        return this.db.prepare(`
+            SELECT DISTINCT date FROM exchanges
+            WHERE date >= ? AND date <= ?
+            ORDER BY date
+        `).all(startDate || '0000-00-00', endDate || '9999-99-99').map(r => r.date);
+    }
+
+    /**
+     * Ids of all indexed exchanges for a date.
+     * @param {string} date - YYYY-MM-DD
+     * @returns {string[]}
+     */
+    getExchangeIds(date) {
+        if (!this.db) return [];
+        return this.db.prepare('SELECT id FROM exchanges WHERE date = ? ORDER BY exchange_index')
+            .all(date).map(r => r.id);
+    }
+
+    /**
+     * Delete every indexed exchange for a date — exchange rows, vectors
+     * and keyword index entries — and drop the date from indexed_dates.
+     *
+     * @param {string} date - YYYY-MM-DD
+     * @returns {{ exchanges: number, vectors: number, chunks: number, ids: string[] }}
+     */
+    deleteDate(date) {
+        if (!this.db) return { exchanges: 0, vectors: 0, chunks: 0, ids: [] };
+
+        const ids = this.getExchangeIds(date);
+        const result = this.deleteExchanges(ids);
+        this.unmarkIndexed(date);
+        return { ...result, ids };
+    }
+
+    /**
+     * Count the rows deleteExchanges() would delete, without deleting.
+     * Vectors are counted in the table that holds the most of them.
+     * @param {string[]} ids
+     * @returns {{ exchanges: number, vectors: number, chunks: number }}
+     */
+    countExchanges(ids) {
+        if (!this.db || !ids || ids.length === 0) return { exchanges: 0, vectors: 0, chunks: 0 };
+
+        const countExchange = this.db.prepare('SELECT COUNT(*) AS n FROM exchanges WHERE id = ?');
+        const selectChunkIds = this.db.prepare('SELECT id FROM exchange_chunks WHERE exchange_id = ?');
+        const countVecs = this._vectorTableNames().map(table =>
+            this.db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE id = ?`)
+        );
+
+        let exchanges = 0;
+        let vectors = 0;
+        let chunks = 0;
+        for (const id of ids) {
+            const chunkIds = selectChunkIds.all(id).map(r => r.id);
+            const unitIds = [id, ...chunkIds];
+            exchanges += countExchange.get(id).n;
+            chunks += chunkIds.length;
+            vectors += Math.max(0, ...countVecs.map(stmt =>
+                unitIds.reduce((sum, unitId) => sum + stmt.get(unitId).n, 0)
+            ));
+        }
+        return { exchanges, vectors, chunks };
+    }
+
+    /**
+     * Delete exchanges by id from every table.
+     * @param {string[]} ids
+     * @returns {{ exchanges: number, vectors: number, chunks: number }}
+     */
+    deleteExchanges(ids) {
+        if (!this.db || !ids || ids.length === 0) return { exchanges: 0, vectors: 0, chunks: 0 };
+
+        const deleteExchange = this.db.prepare('DELETE FROM exchanges WHERE id = ?');
+        const selectChunkIds = this.db.prepare('SELECT id FROM exchange_chunks WHERE exchange_id = ?');
+        const deleteChunks = this.db.prepare('DELETE FROM exchange_chunks WHERE exchange_id = ?');
+        // Every vector table, so a re-index in progress doesn't resurrect them
+        const deleteVecs = this._vectorTableNames().map(table =>
+            this.db.prepare(`DELETE FROM ${table} WHERE id = ?`)
+        );
+        const deleteFts = this.db.prepare('DELETE FROM exchanges_fts WHERE id = ?');
+
+        let exchanges = 0;
+        let vectors = 0;
+        let chunks = 0;
+        const transaction = this.db.transaction(() => {
+            for (const id of ids) {
+                const unitIds = [id, ...selectChunkIds.all(id).map(r => r.id)];
+                exchanges += deleteExchange.run(id).changes;
+                vectors += Math.max(0, ...deleteVecs.map(stmt =>
+                    unitIds.reduce((sum, unitId) => sum + stmt.run(unitId).changes, 0)
+                ));
+                chunks += deleteChunks.run(id).changes;
+                deleteFts.run(id);
+            }
+        });
+        transaction();
+
+        return { exchanges, vectors, chunks };
+    }
+
+    /**
+     * Group archive messages into exchanges exactly as indexDay() does,
+     * so exchange_index N maps back to the messages behind it (parts).
+     * @param {Array} messages
+     * @returns {Array<{ user: object|null, agent: object|null, parts: Array }>}
+     */
+    pairExchanges(messages) {
+        return this._pairExchanges(messages || []);
+    }
+
+    /**
+     * Check the database against itself: SQLite's own quick_check, vectors
+     * with no exchange or chunk behind them (in any vector table), exchanges
+     * or chunks missing from the active vector table (unless a re-index is
+     * under way), chunks of deleted
+     * exchanges, keyword index rows out of step with `exchanges` (with
+     * encryption on, any keyword row is a plaintext leftover), and
+     * indexed_dates entries whose count or hash no longer match the rows.
+     *
+     * @returns {{ integrity: string[], keywordIndexDamaged: boolean, exchanges: number, orphanVectors: object[], missingVectors: string[],
+     *            orphanChunks: string[], orphanKeywords: string[], missingKeywords: string[], staleDates: string[] }}
+     */
+    inspect() {
+        if (!this.db) throw new Error('Indexer not initialized. Call initialize() first.');
+
+        // A damaged keyword index can be rebuilt from its own rows; anything
+        // else quick_check finds is damage to the file itself
+        const checks = this.db.pragma('quick_check').map(row => row.quick_check).filter(msg => msg !== 'ok');
+        const integrity = checks.filter(msg => !msg.includes('exchanges_fts'));
+        const ids = sql => this.db.prepare(sql).all().map(row => row.id);
+
+        const orphanVectors = [];
+        for (const table of this._vectorTableNames()) {
+            for (const id of ids(`SELECT id FROM ${table} WHERE id NOT IN (SELECT id FROM embedding_units)`)) {
+                orphanVectors.push({ table, id });
             }
-            if (!log.dates.includes(date)) {
-                log.dates.push(date);
-                log.dates.sort();
+        }
+
+        const staleDates = this.db.prepare('SELECT date, exchange_count, content_hash FROM indexed_dates').all()
+            .filter(row => {
+                const state = dateState(this.db, row.date);
+                return state.exchangeCount !== row.exchange_count || state.contentHash !== row.content_hash;
+            })
+            .map(row => row.date);
+
+        return {
+            integrity,
+            keywordIndexDamaged: checks.length > integrity.length,
+            exchanges: this.getExchangeCount(),
+            orphanVectors,
+            // While a re-index runs, new vectors go to the build table and
+            // reindexStep fills the rest
+            missingVectors: this.buildTable
+                ? []
+                : ids(`SELECT id FROM embedding_units WHERE id NOT IN (SELECT id FROM ${this.vecTable})`),
+            orphanChunks: ids('SELECT id FROM exchange_chunks WHERE exchange_id NOT IN (SELECT id FROM exchanges)'),
+            orphanKeywords: this.cipher
+                ? ids('SELECT id FROM exchanges_fts')
+                : ids('SELECT id FROM exchanges_fts WHERE id NOT IN (SELECT id FROM exchanges)'),
+            missingKeywords: this.cipher
+                ? []
+                : ids('SELECT id FROM exchanges WHERE id NOT IN (SELECT id FROM exchanges_fts)'),
+            staleDates
+        };
+    }
+
+    /**
+     * Fix what inspect() found: delete orphaned vectors, chunks and
+     * keyword rows, embed the missing vectors from the stored text, add
+     * the missing keyword rows, rebuild a damaged keyword index, and queue
+     * stale dates for re-indexing.
+     *
+     * @param {object} findings - from inspect()
+     * @returns {Promise<{ vectors: number, chunks: number, keywords: number, embedded: number, unmarked: number }>}
+     */
+    async repair(findings) {
+        if (!this.db) throw new Error('Indexer not initialized. Call initialize() first.');
+        const result = { vectors: 0, chunks: 0, keywords: 0, embedded: 0, unmarked: 0 };
+
+        this.db.transaction(() => {
+            for (const { table, id } of findings.orphanVectors) {
+                result.vectors += this.db.prepare(`DELETE FROM ${table} WHERE id = ?`).run(id).changes;
+            }
+            const deleteVecs = this._vectorTableNames().map(table => this.db.prepare(`DELETE FROM ${table} WHERE id = ?`));
+            const deleteChunk = this.db.prepare('DELETE FROM exchange_chunks WHERE id = ?');
+            for (const id of findings.orphanChunks) {
+                for (const stmt of deleteVecs) result.vectors += stmt.run(id).changes;
+                result.chunks += deleteChunk.run(id).changes;
             }
-            log.lastIndexed = new Date().toISOString();
-            fs.writeFileSync(this.indexLogPath, JSON.stringify(log, null, 2), 'utf8');
-        } catch (err) {
-            console.warn('[Indexer] Failed to update index log:', err.message);
+            const deleteFts = this.db.prepare('DELETE FROM exchanges_fts WHERE id = ?');
+            for (const id of findings.orphanKeywords) result.keywords += deleteFts.run(id).changes;
+            if (findings.keywordIndexDamaged || (this.cipher && findings.orphanKeywords.length > 0)) {
+                this.db.prepare("INSERT INTO exchanges_fts (exchanges_fts) VALUES ('rebuild')").run();
+            }
+            const insertFts = this.db.prepare(`
+                INSERT INTO exchanges_fts (id, user_text, agent_text)
+                SELECT id, COALESCE(user_text, ''), COALESCE(agent_text, '') FROM exchanges WHERE id = ?
+            `);
+            for (const id of findings.missingKeywords) result.keywords += insertFts.run(id).changes;
+            for (const date of findings.staleDates) {
+                this.unmarkIndexed(date);
+                result.unmarked++;
+            }
+        })();
+
+        // Units are unchanged, so indexDay would skip them by hash; embed
+        // them straight from the stored text instead
+        const select = this.db.prepare('SELECT id, text FROM embedding_units WHERE id = ?');
+        const missing = findings.missingVectors.map(id => select.get(id)).filter(Boolean);
+        for (let b = 0; b < missing.length; b += this.embeddings.batchSize) {
+            const batch = missing.slice(b, b + this.embeddings.batchSize);
+            const vectors = await this.embeddings.embedDocuments(batch.map(row => this._unseal(row.text) || ''));
+            const deleteVec = this.db.prepare(`DELETE FROM ${this.vecTable} WHERE id = ?`);
+            const insertVec = this.db.prepare(`INSERT INTO ${this.vecTable} (id, embedding) VALUES (?, ?)`);
+            this.db.transaction(() => {
+                batch.forEach((row, i) => {
+                    deleteVec.run(row.id);
+                    insertVec.run(row.id, new Float32Array(vectors[i]));
+                    result.embedded++;
+                });
+            })();
         }
+        return result;
     }
 
     /**
@@ -205,6 +684,7 @@ class Indexer {
      * Close the database connection.
      */
     close() {
+        this._closed = true;
         if (this.db) {
             this.db.close();
             this.db = null;
@@ -212,230 +692,477 @@ class Indexer {
         }
     }
 
-    // ---------------------------------------------------------------
-    // Internal
-    // ---------------------------------------------------------------
+    /**
+     * Embed the next batch of exchanges (or chunks) missing from the table
+     * being built, switching over when none are left.
+     *
+     * @param {number} [limit] - vectors per batch (default embedding.reindexBatch)
+     * @returns {Promise<{ embedded: number, remaining: number, switched: boolean }>}
+     */
+    async reindexStep(limit = this.reindexBatch) {
+        if (!this._initialized || !this.buildTable) {
+            return { embedded: 0, remaining: 0, switched: false };
+        }
 
-    _createTables() {
-        // Main exchanges table
-        this.db.exec(`
-            CREATE TABLE IF NOT EXISTS exchanges (
-                id TEXT PRIMARY KEY,
-                date TEXT NOT NULL,
-                exchange_index INTEGER,
-                user_text TEXT,
-                agent_text TEXT,
-                combined TEXT,
-                metadata TEXT,
-                created_at TEXT DEFAULT (datetime('now'))
-            )
-        `);
+        const buildTable = this.buildTable;
+        const rows = this.db.prepare(`
+            SELECT id, text FROM embedding_units
+            WHERE id NOT IN (SELECT id FROM ${buildTable})
+            ORDER BY date DESC, exchange_index ASC, chunk_index ASC
+            LIMIT ?
+        `).all(limit);
 
-        this.db.exec(`
-            CREATE INDEX IF NOT EXISTS idx_exchanges_date ON exchanges(date);
-        `);
+        let embedded = 0;
+        if (rows.length > 0) {
+            const vectors = await this.embeddings.embedDocuments(rows.map(r => this._unseal(r.text) || ''));
+            // The table may have been switched or dropped while embedding
+            if (!this.db || this.buildTable !== buildTable) {
+                return { embedded: 0, remaining: 0, switched: false };
+            }
+            const deleteVec = this.db.prepare(`DELETE FROM ${buildTable} WHERE id = ?`);
+            const insertVec = this.db.prepare(`INSERT INTO ${buildTable} (id, embedding) VALUES (?, ?)`);
+            const exists = this.db.prepare('SELECT 1 FROM embedding_units WHERE id = ?');
+            this.db.transaction(() => {
+                rows.forEach((row, i) => {
+                    // Skip exchanges deleted or re-chunked while their batch was embedding
+                    if (!exists.get(row.id)) return;
+                    deleteVec.run(row.id);
+                    insertVec.run(row.id, new Float32Array(vectors[i]));
+                    embedded++;
+                });
+            })();
+        }
 
-        // Vector table — check if dimensions match, recreate if changed
-        try {
-            // Check existing vector table dimensions
-            let needsRecreate = false;
+        const remaining = this._missingFromBuild();
+        if (remaining === 0) {
+            this._switchOver();
+            return { embedded, remaining, switched: true };
+        }
+        return { embedded, remaining, switched: false };
+    }
+
+    /**
+     * Run the re-index in the background until the new table is complete.
+     * No-op if nothing is being built or a run is already going. Stops on
+     * close() or on an embedding error (the next call resumes it).
+     * @returns {Promise<void>|null} the running re-index, if any
+     */
+    startReindex() {
+        if (!this.buildTable || this._reindexPromise) return this._reindexPromise;
+
+        this._reindexPromise = (async () => {
+            console.log(`[Indexer] Re-index into ${this.buildTable} started`);
             try {
-                const info = this.db.prepare("SELECT * FROM vec_exchanges_info LIMIT 1").get();
-                // vec0 info table has column count info; if dimensions changed we need to recreate
-                const testRow = this.db.prepare("SELECT embedding FROM vec_exchanges LIMIT 1").get();
-                if (testRow && testRow.embedding) {
-                    const existingDims = new Float32Array(testRow.embedding.buffer || testRow.embedding).length;
-                    if (existingDims !== this.dimensions) {
-                        console.log(`[Indexer] Dimension change detected: ${existingDims} → ${this.dimensions}, recreating vector table`);
-                        needsRecreate = true;
+                while (this.buildTable && !this._closed) {
+                    const step = await this.reindexStep();
+                    if (step.switched || step.embedded === 0) break;
+                    if (this.reindexDelay > 0) {
+                        await new Promise(resolve => setTimeout(resolve, this.reindexDelay));
                     }
                 }
-            } catch (e) {
-                // Table doesn't exist yet — will create below
+            } catch (err) {
+                console.warn(`[Indexer] Re-index paused: ${err.message}`);
             }
+        })().finally(() => {
+            this._reindexPromise = null;
+        });
+        return this._reindexPromise;
+    }
 
-            if (needsRecreate) {
-                this.db.exec('DROP TABLE IF EXISTS vec_exchanges');
-                // Clear index log so all days get re-indexed with new dimensions
-                if (fs.existsSync(this.indexLogPath)) {
-                    fs.writeFileSync(this.indexLogPath, JSON.stringify({ dates: [], lastIndexed: null }, null, 2));
-                    console.log('[Indexer] Cleared index log — full re-index needed');
-                }
-            }
+    /**
+     * Blue/green re-index progress.
+     * @returns {{ active: object, building: object|null }}
+     */
+    getReindexStatus() {
+        if (!this.db) return { active: null, building: null };
 
-            this.db.exec(`
-                CREATE VIRTUAL TABLE IF NOT EXISTS vec_exchanges USING vec0(
-                    id TEXT PRIMARY KEY,
-                    embedding float[${this.dimensions}]
-                )
-            `);
-        } catch (e) {
-            if (!e.message.includes('already exists')) {
-                throw e;
-            }
+        const rows = this.db.prepare('SELECT * FROM vector_tables').all();
+        const describe = row => row && {
+            table: row.name,
+            modelId: row.model_id,
+            dimensions: row.dimensions,
+            createdAt: row.created_at,
+            activatedAt: row.activated_at
+        };
+        const active = rows.find(r => r.state === 'active');
+        const building = rows.find(r => r.state === 'building');
+
+        let buildStatus = null;
+        if (building) {
+            const total = this.db.prepare('SELECT COUNT(*) AS count FROM embedding_units').get().count;
+            const done = total - this._missingFromBuild();
+            buildStatus = {
+                ...describe(building),
+                done,
+                total,
+                percent: total > 0 ? Math.round((done / total) * 1000) / 10 : 100,
+                running: !!this._reindexPromise
+            };
         }
 
-        console.log('[Indexer] Database tables ready');
+        return { active: describe(active), building: buildStatus };
     }
 
     /**
-     * Initialize embedding model.
-     * Priority: 1) llama.cpp server (GPU-accelerated, 768d)
-     *           2) @chroma-core/default-embed (ONNX CPU, 384d)
-     *           3) @huggingface/transformers pipeline (ONNX CPU, 384d)
+     * Re-encrypt a database's text columns for another key. Values are
+     * read with readCipher (plaintext passes through) and written with
+     * writeCipher; content hashes and indexed_dates are recomputed, so
+     * nothing is re-embedded. Writing plaintext rebuilds the keyword
+     * index. Vector tables are untouched, so the database is opened
+     * without sqlite-vec or an embedding model. Used by scripts/rekey.js
+     * while the gateway is stopped.
+     *
+     * @param {string} dbPath
+     * @param {Cipher|null} readCipher
+     * @param {Cipher|null} writeCipher - null = store plaintext
+     * @returns {{ exchanges: number, chunks: number }}
      */
-    async _initEmbeddings() {
-        // 1) Try llama.cpp embedding server (nomic-embed-text-v1.5 on GPU)
-        const llamaUrl = process.env.LLAMA_EMBED_URL || 'http://localhost:8082';
+    static rekeyDatabase(dbPath, readCipher, writeCipher) {
+        const db = new Database(dbPath);
         try {
-            const http = require('http');
-            const testPayload = JSON.stringify({ input: 'search_document: test', model: 'nomic-embed-text-v1.5' });
-            const result = await new Promise((resolve, reject) => {
-                const url = new URL(`${llamaUrl}/v1/embeddings`);
-                const req = http.request({
-                    hostname: url.hostname,
-                    port: url.port,
-                    path: url.pathname,
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(testPayload) },
-                    timeout: 5000,
-                }, (res) => {
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => {
-                        try { resolve(JSON.parse(body)); } catch (e) { reject(e); }
-                    });
-                });
-                req.on('error', reject);
-                req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-                req.write(testPayload);
-                req.end();
-            });
-
-            if (result?.data?.[0]?.embedding?.length > 0) {
-                const dims = result.data[0].embedding.length;
-                this.dimensions = dims;
-                this._embeddingFn = {
-                    generate: async (texts) => {
-                        // Prepend task prefix for nomic-embed-text
-                        const prefixed = texts.map(t => t.startsWith('search_') ? t : `search_document: ${t}`);
-                        const payload = JSON.stringify({ input: prefixed, model: 'nomic-embed-text-v1.5' });
-                        return new Promise((resolve, reject) => {
-                            const url = new URL(`${llamaUrl}/v1/embeddings`);
-                            const req = http.request({
-                                hostname: url.hostname,
-                                port: url.port,
-                                path: url.pathname,
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
-                                timeout: 30000,
-                            }, (res) => {
-                                let body = '';
-                                res.on('data', chunk => body += chunk);
-                                res.on('end', () => {
-                                    try {
-                                        const data = JSON.parse(body);
-                                        resolve((data.data || []).map(d => d.embedding));
-                                    } catch (e) { reject(e); }
-                                });
-                            });
-                            req.on('error', reject);
-                            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-                            req.write(payload);
-                            req.end();
-                        });
-                    }
-                };
-                console.log(`[Indexer] llama.cpp embedding server ready (${dims} dimensions, ${llamaUrl})`);
-                return;
+            migrate(db);
+            const stored = db.prepare("SELECT value FROM meta WHERE key = 'encryption_key_id'").get()?.value;
+            if (stored) {
+                if (!readCipher) throw Cipher.missingKeyError(dbPath);
+                readCipher.assertKey(stored, dbPath);
             }
-        } catch (err) {
-            console.warn(`[Indexer] llama.cpp server not available (${llamaUrl}): ${err.message}`);
+
+            db.pragma('secure_delete = ON');
+            const read = value => {
+                if (!Cipher.isEncrypted(value)) return value;
+                if (!readCipher) throw Cipher.missingKeyError(dbPath);
+                return readCipher.decryptText(value);
+            };
+            const write = value => (writeCipher ? writeCipher.encryptText(value) : value);
+
+            const counts = db.transaction(() => {
+                const updateExchange = db.prepare(
+                    'UPDATE exchanges SET user_text = ?, agent_text = ?, combined = ?, content_hash = ? WHERE id = ?'
+                );
+                const insertFts = db.prepare('INSERT INTO exchanges_fts (id, user_text, agent_text) VALUES (?, ?, ?)');
+                // DELETE only tombstones FTS5 terms; rebuild drops them from the index
+                db.prepare('DELETE FROM exchanges_fts').run();
+                db.prepare("INSERT INTO exchanges_fts (exchanges_fts) VALUES ('rebuild')").run();
+
+                const rows = db.prepare('SELECT id, user_text, agent_text, combined FROM exchanges').all();
+                for (const row of rows) {
+                    const userText = read(row.user_text);
+                    const agentText = read(row.agent_text);
+                    const combined = read(row.combined) || '';
+                    const contentHash = writeCipher ? writeCipher.hash(combined) : _hash(combined);
+                    updateExchange.run(write(userText), write(agentText), write(combined), contentHash, row.id);
+                    if (!writeCipher) insertFts.run(row.id, userText || '', agentText || '');
+                }
+
+                const updateChunk = db.prepare('UPDATE exchange_chunks SET text = ? WHERE id = ?');
+                const chunks = db.prepare('SELECT id, text FROM exchange_chunks').all();
+                for (const chunk of chunks) updateChunk.run(write(read(chunk.text)), chunk.id);
+
+                const updateDate = db.prepare('UPDATE indexed_dates SET exchange_count = ?, content_hash = ? WHERE date = ?');
+                for (const { date } of db.prepare('SELECT date FROM indexed_dates').all()) {
+                    const state = dateState(db, date);
+                    updateDate.run(state.exchangeCount, state.contentHash, date);
+                }
+
+                if (writeCipher) {
+                    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('encryption_key_id', ?)").run(writeCipher.keyId);
+                } else {
+                    db.prepare("DELETE FROM meta WHERE key = 'encryption_key_id'").run();
+                }
+                return { exchanges: rows.length, chunks: chunks.length };
+            })();
+
+            // Rewrite the file without the pages the old values lived in
+            db.exec('VACUUM');
+            return counts;
+        } finally {
+            db.close();
         }
+    }
 
-        // 2) Fallback: @chroma-core/default-embed (ONNX)
-        try {
-            const { DefaultEmbeddingFunction } = require('@chroma-core/default-embed');
-            this._embeddingFn = new DefaultEmbeddingFunction();
-
-            // Warm up
-            const test = await this._embeddingFn.generate(['test']);
-            if (test && test[0] && test[0].length === this.dimensions) {
-                console.log(`[Indexer] ONNX embedding model ready (${this.dimensions} dimensions) — fallback`);
-                return;
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    /**
+     * Match the database's encryption state to the configured key.
+     * The first encrypted open records the key id and clears the keyword
+     * index, which would otherwise keep a plaintext copy of every row.
+     */
+    _checkEncryption() {
+        // Overwrite deleted rows, so replaced plaintext doesn't linger in free pages
+        if (this.cipher) this.db.pragma('secure_delete = ON');
+
+        const stored = this.db.prepare("SELECT value FROM meta WHERE key = 'encryption_key_id'").get()?.value || null;
+        if (!this.cipher) {
+            if (stored) throw Cipher.missingKeyError(this.dbPath);
+            return;
+        }
+        if (stored) {
+            this.cipher.assertKey(stored, this.dbPath);
+            return;
+        }
+        this.db.transaction(() => {
+            this.db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('encryption_key_id', ?)").run(this.cipher.keyId);
+            this.db.prepare('DELETE FROM exchanges_fts').run();
+            this.db.prepare("INSERT INTO exchanges_fts (exchanges_fts) VALUES ('rebuild')").run();
+        })();
+        this.db.exec('VACUUM');
+        console.log(`[Indexer] Encryption enabled (key ${this.cipher.keyId}); keyword index cleared`);
+    }
+
+    _seal(text) {
+        return this.cipher ? this.cipher.encryptText(text) : text;
+    }
+
+    _unseal(value) {
+        return this.cipher ? this.cipher.decryptText(value) : value;
+    }
+
+    /**
+     * Content hash of a record — keyed when encrypted, so stored hashes
+     * can't be matched against hashes of guessed text.
+     */
+    _contentHash(text) {
+        return this.cipher ? this.cipher.hash(text) : _hash(text);
+    }
+
+    _createTables() {
+        // exchanges, exchanges_fts, vector_tables and indexed_dates come
+        // from the migrations; the vec0 tables depend on the embedding model
+        this._setupVectorTables();
+
+        console.log(`[Indexer] Database tables ready (schema v${this.schemaVersion})`);
+    }
+
+    /**
+     * Make sure there is an active vector table, and — if the embedding
+     * model changed — a table being built for the current model.
+     */
+    _setupVectorTables() {
+        const modelId = this.embeddings.modelId;
+        const provider = JSON.stringify(this.embeddings.snapshot());
+        const register = this.db.prepare(`
+            INSERT INTO vector_tables (name, model_id, dimensions, state, provider, activated_at)
+            VALUES (?, ?, ?, ?, ?, CASE WHEN ? = 'active' THEN datetime('now') END)
+        `);
+
+        let active = this.db.prepare("SELECT * FROM vector_tables WHERE state = 'active'").get();
+        if (!active) {
+            // Databases from before vector_tables: adopt vec_exchanges. Same
+            // dimensions → assume the same model (the old behaviour); otherwise
+            // it stays searchable by nothing until the rebuild replaces it.
+            const existingDims = this._tableDimensions('vec_exchanges');
+            if (existingDims) {
+                const sameModel = existingDims === this.dimensions;
+                register.run('vec_exchanges', sameModel ? modelId : `unknown:${existingDims}`,
+                    existingDims, 'active', sameModel ? provider : null, 'active');
+            } else {
+                this._createVectorTable('vec_exchanges');
+                register.run('vec_exchanges', modelId, this.dimensions, 'active', provider, 'active');
             }
-            console.warn(`[Indexer] Dimension mismatch: expected ${this.dimensions}, got ${test?.[0]?.length}`);
-        } catch (err) {
-            console.warn('[Indexer] @chroma-core/default-embed failed:', err.message);
+            active = this.db.prepare("SELECT * FROM vector_tables WHERE state = 'active'").get();
         }
+        this.vecTable = active.name;
+        this.buildTable = null;
 
-        // 3) Fallback: direct transformers.js
-        try {
-            const { pipeline } = require('@huggingface/transformers');
-            this._embeddingPipeline = await pipeline('feature-extraction', this.model);
-            this._embeddingFn = {
-                generate: async (texts) => {
-                    const results = [];
-                    for (const text of texts) {
-                        const output = await this._embeddingPipeline(text, { pooling: 'mean', normalize: true });
-                        results.push(Array.from(output.data));
-                    }
-                    return results;
-                }
-            };
-            console.log('[Indexer] Fallback transformers.js embedding model ready');
-        } catch (fallbackErr) {
-            console.error('[Indexer] All embedding models failed:', fallbackErr.message);
-            throw new Error('No embedding model available. Install llama.cpp server, @chroma-core/default-embed, or @huggingface/transformers.');
+        // Builds for any other model are stale
+        const builds = this.db.prepare("SELECT * FROM vector_tables WHERE state = 'building'").all();
+        for (const build of builds) {
+            if (active.model_id !== modelId && build.model_id === modelId) {
+                this.buildTable = build.name;
+                continue;
+            }
+            this._dropVectorTable(build.name);
+        }
+
+        if (active.model_id !== modelId && !this.buildTable) {
+            const name = `vec_exchanges_${Date.now().toString(36)}`;
+            this._createVectorTable(name);
+            register.run(name, modelId, this.dimensions, 'building', provider, 'building');
+            this.buildTable = name;
+            console.log(`[Indexer] Embedding model changed (${active.model_id} → ${modelId}) — building ${name} beside ${active.name}`);
+        } else if (this.buildTable) {
+            console.log(`[Indexer] Resuming re-index into ${this.buildTable} (${modelId})`);
         }
     }
 
+    _createVectorTable(name) {
+        this.db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS ${name} USING vec0(
+                id TEXT PRIMARY KEY,
+                embedding float[${this.dimensions}]
+            )
+        `);
+    }
+
+    _dropVectorTable(name) {
+        this.db.transaction(() => {
+            this.db.exec(`DROP TABLE IF EXISTS ${name}`);
+            this.db.prepare('DELETE FROM vector_tables WHERE name = ?').run(name);
+        })();
+    }
+
     /**
-     * Generate embedding for a single text.
-     * @param {string} text
-     * @returns {Float32Array|null}
+     * Dimensions of an existing vec0 table, read from its declaration.
+     * @returns {number|null}
      */
-    async _embed(text) {
-        if (!this._embeddingFn) return null;
-        try {
-            const results = await this._embeddingFn.generate([text]);
-            return results?.[0] || null;
-        } catch (err) {
-            console.warn('[Indexer] Embedding generation failed:', err.message);
-            return null;
-        }
+    _tableDimensions(name) {
+        const row = this.db.prepare("SELECT sql FROM sqlite_master WHERE name = ?").get(name);
+        const match = row?.sql && /float\[(\d+)\]/.exec(row.sql);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    _vectorTableNames() {
+        return this.db.prepare('SELECT name FROM vector_tables').all().map(r => r.name);
+    }
+
+    _missingFromBuild() {
+        if (!this.buildTable) return 0;
+        return this.db.prepare(`
+            SELECT COUNT(*) AS count FROM embedding_units
+            WHERE id NOT IN (SELECT id FROM ${this.buildTable})
+        `).get().count;
+    }
+
+    /**
+     * Promote the finished build table and drop the old active one, atomically.
+     */
+    _switchOver() {
+        const oldTable = this.vecTable;
+        const newTable = this.buildTable;
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM vector_tables WHERE name = ?').run(oldTable);
+            this.db.prepare(`
+                UPDATE vector_tables SET state = 'active', activated_at = datetime('now') WHERE name = ?
+            `).run(newTable);
+            this.db.exec(`DROP TABLE IF EXISTS ${oldTable}`);
+        })();
+        this.vecTable = newTable;
+        this.buildTable = null;
+        console.log(`[Indexer] Re-index complete — switched search to ${newTable}, dropped ${oldTable}`);
     }
 
     /**
-     * Pair messages into user→agent exchanges.
+     * Group messages into turns. A turn holds every user message until
+     * the first agent message, then every agent message until the next
+     * user message. Messages before the first user message (e.g. an
+     * agent greeting) form a turn without a user side.
+     *
+     * `parts` keeps the turn's messages in order; `user` and `agent` join
+     * each side's text (blank line between messages) and carry the
+     * timestamp of that side's first message.
+     *
      * @param {Array} messages - sorted by timestamp
-     * @returns {Array<{ user: object|null, agent: object|null }>}
+     * @returns {Array<{ user: object|null, agent: object|null, parts: Array }>}
      */
     _pairExchanges(messages) {
-        const exchanges = [];
-        let currentExchange = { user: null, agent: null };
+        const turns = [];
+        let parts = [];
 
         for (const msg of messages) {
-            if (msg.sender === 'user') {
-                // If we already have a user message, push current and start new
-                if (currentExchange.user) {
-                    exchanges.push(currentExchange);
-                    currentExchange = { user: null, agent: null };
-                }
-                currentExchange.user = msg;
-            } else if (msg.sender === 'agent') {
-                currentExchange.agent = msg;
-                exchanges.push(currentExchange);
-                currentExchange = { user: null, agent: null };
+            // Tool calls are indexed as records of their own
+            if (msg.sender !== 'user' && msg.sender !== 'agent') continue;
+            // A user message after agent activity starts the next turn
+            if (msg.sender === 'user' && parts.some(p => p.sender !== 'user')) {
+                turns.push(parts);
+                parts = [];
             }
+            parts.push(msg);
         }
+        if (parts.length > 0) turns.push(parts);
 
-        // Push any remaining
-        if (currentExchange.user || currentExchange.agent) {
-            exchanges.push(currentExchange);
-        }
+        return turns.map(turnParts => ({
+            user: _joinSide(turnParts, 'user'),
+            agent: _joinSide(turnParts, 'agent'),
+            parts: turnParts
+        }));
+    }
+
+    /**
+     * Group a day's messages into records (on redacted text); tool calls
+     * and summaries are records of their own. `parts` holds the archive
+     * messages behind each record.
+     */
+    _buildRecords(date, messages) {
+        const redacted = this._redactor.redactMessages(messages).messages;
+        const original = new Map(redacted.map((m, n) => [m, messages[n]]));
+        const withParts = (record, parts) => ({ ...record, parts: parts.map(m => original.get(m)) });
+        return [
+            ...this._pairExchanges(redacted).map((exchange, i) => withParts(this._exchangeRecord(exchange, date, i), exchange.parts)),
+            ...redacted.filter(m => m.sender === 'tool').map((call, i) => withParts(this._toolRecord(call, date, i), [call])),
+            ...redacted.filter(m => m.sender === 'summary').map((summary, i) => withParts(this._summaryRecord(summary, date, i), [summary]))
+        ];
+    }
 
-        return exchanges;
+    /**
+     * Row fields for a conversation turn.
+     */
+    _exchangeRecord(exchange, date, i) {
+        return {
+            id: `exchange_${date}_${i}`,
+            index: i,
+            kind: 'exchange',
+            userText: exchange.user?.text || '',
+            agentText: exchange.agent?.text || '',
+            combined: this._formatExchange(exchange, date),
+            metadata: {
+                timestamp: exchange.user?.timestamp || exchange.agent?.timestamp,
+                hasUser: !!exchange.user,
+                hasAgent: !!exchange.agent,
+                messages: exchange.parts.length
+            }
+        };
+    }
+
+    /**
+     * Row fields for an archived tool call. user_text holds the call
+     * ("read_file path=~/.openclaw/openclaw.json"), agent_text the result
+     * digest, so both are in the keyword index.
+     */
+    _toolRecord(call, date, i) {
+        const params = Object.entries(call.params || {})
+            .map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`)
+            .join(' ');
+        const invocation = this._redactor.redact(params ? `${call.tool} ${params}` : call.tool).text;
+        const result = call.error ? `Error: ${call.error}${call.text ? `\n${call.text}` : ''}` : (call.text || '');
+        const time = this.clock.timeOf(call.timestamp) || '00:00';
+
+        return {
+            id: `tool_${date}_${i}`,
+            index: i,
+            kind: 'tool',
+            userText: invocation,
+            agentText: result,
+            combined: [`[${date} ${time}]`, `Tool: ${invocation}`, result && `Result: ${result}`]
+                .filter(Boolean).join('\n'),
+            metadata: {
+                timestamp: call.timestamp,
+                tool: call.tool,
+                callId: call.callId || null,
+                failed: !!call.error,
+                durationMs: call.durationMs ?? null
+            }
+        };
+    }
+
+    /**
+     * Row fields for the summary of an expired day. The summary goes in
+     * user_text so the keyword index covers it.
+     */
+    _summaryRecord(summary, date, i) {
+        return {
+            id: `summary_${date}_${i}`,
+            index: i,
+            kind: 'summary',
+            userText: summary.text || '',
+            agentText: '',
+            combined: `[${date}] Summary of the conversation\n${summary.text || ''}`,
+            metadata: {
+                timestamp: summary.timestamp,
+                messages: summary.summarized?.messages ?? null
+            }
+        };
     }
 
     /**
@@ -445,19 +1172,89 @@ class Indexer {
      * @returns {string}
      */
     _formatExchange(exchange, date) {
-        const time = exchange.user?.timestamp?.substring(11, 16) ||
-                     exchange.agent?.timestamp?.substring(11, 16) || '00:00';
-        const parts = [`[${date} ${time}]`];
+        const time = this.clock.timeOf(exchange.user?.timestamp) ||
+                     this.clock.timeOf(exchange.agent?.timestamp) || '00:00';
+        const lines = [`[${date} ${time}]`];
 
-        if (exchange.user?.text) {
-            parts.push(`User: ${exchange.user.text}`);
+        // Every message of the turn, in order
+        for (const part of exchange.parts || [exchange.user, exchange.agent]) {
+            if (!part?.text) continue;
+            const label = SENDER_LABELS[part.sender] || part.sender;
+            lines.push(`${label}: ${part.text}`);
         }
-        if (exchange.agent?.text) {
-            parts.push(`Agent: ${exchange.agent.text}`);
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Split a formatted exchange into overlapping chunks of at most
+     * chunkSize characters, breaking at paragraph, line, sentence or word
+     * boundaries where possible. Every chunk repeats the "[date time]"
+     * header line. Returns one chunk for exchanges that fit.
+     *
+     * @param {string} combined - output of _formatExchange()
+     * @returns {string[]}
+     */
+    _chunkExchange(combined) {
+        if (!this.chunkSize || combined.length <= this.chunkSize) return [combined];
+
+        const newline = combined.indexOf('\n');
+        const header = newline === -1 ? '' : combined.substring(0, newline);
+        const body = newline === -1 ? combined : combined.substring(newline + 1);
+        const size = Math.max(this.chunkSize - header.length - 1, 200);
+        const overlap = Math.min(this.chunkOverlap, Math.floor(size / 2));
+
+        const chunks = [];
+        let start = 0;
+        while (start < body.length) {
+            let end = Math.min(start + size, body.length);
+            if (end < body.length) end = _breakPoint(body, start + Math.floor(size * 0.6), end);
+            const text = body.substring(start, end).trim();
+            if (text) chunks.push(header ? `${header}\n${text}` : text);
+            if (end >= body.length) break;
+
+            // Step back by the overlap, then forward to the next word
+            let next = Math.max(end - overlap, start + 1);
+            const space = body.indexOf(' ', next);
+            if (space !== -1 && space < end) next = space + 1;
+            start = next;
         }
+        return chunks;
+    }
+}
 
-        return parts.join('\n');
+/**
+ * Best place to end a chunk in text[min, max): after a paragraph break,
+ * a line break, a sentence end or a space — in that order — else max.
+ */
+function _breakPoint(text, min, max) {
+    const window = text.substring(min, max);
+    for (const separators of [['\n\n'], ['\n'], ['. ', '? ', '! '], [' ']]) {
+        const at = Math.max(...separators.map(sep => {
+            const i = window.lastIndexOf(sep);
+            return i === -1 ? -1 : i + sep.length;
+        }));
+        if (at > 0) return min + at;
     }
+    return max;
+}
+
+/**
+ * One side of a turn as a single message: texts joined, first timestamp.
+ * @returns {object|null} null when the turn has no message from `sender`
+ */
+function _joinSide(parts, sender) {
+    const messages = parts.filter(p => p.sender === sender);
+    if (messages.length === 0) return null;
+    if (messages.length === 1) return messages[0];
+    return {
+        ...messages[0],
+        text: messages.map(m => m.text).filter(Boolean).join('\n\n')
+    };
+}
+
+function _hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
 }
 
 module.exports = Indexer;
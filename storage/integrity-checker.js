@@ -0,0 +1,181 @@
+/**
+ * IntegrityChecker — Validate the archive and the database against each other.
+ *
+ * The archive is the source of truth; the database is derived from it
+ * and tracked per day in indexed_dates. They drift apart when a write is
+ * torn by a crash, a file is edited or corrupted by hand, or a day is
+ * pruned from one store but not the other. Three passes:
+ *
+ *   1. Archive — every file decodes and parses (Archiver.verify)
+ *   2. Database — SQLite quick_check, vectors/chunks/keyword rows without
+ *      an exchange and the reverse, stale indexed_dates (Indexer.inspect)
+ *   3. Across stores — archive days not in the index, indexed days whose
+ *      archive file is gone
+ *
+ * With repair, bad archive files go to the quarantine directory (never
+ * deleted), orphaned rows are deleted, missing vectors and keyword rows
+ * are rebuilt, and days are re-indexed from the archive. Rows of a day
+ * quarantined in the same run are kept: until someone looks at the
+ * quarantined file they are the only readable copy.
+ *
+ * Quarantined files go to <dataDir>/quarantine/<timestamp>/archive/.
+ */
+
+const path = require('path');
+
+class IntegrityChecker {
+    /**
+     * @param {object} config - full plugin config
+     * @param {Archiver} archiver
+     * @param {Indexer|null} indexer - null if storage is unavailable (archive only)
+     * @param {object} [options]
+     * @param {string} [options.quarantineDir] - where repair moves bad archive files
+     */
+    constructor(config = {}, archiver, indexer, options = {}) {
+        this.archiver = archiver;
+        this.indexer = indexer;
+        this.quarantineDir = options.quarantineDir || null;
+    }
+
+    /**
+     * Quarantine directory for a repair run started at `at`.
+     * @param {string} dataDir - the namespace's data directory
+     * @param {Date} [at]
+     * @returns {string}
+     */
+    static quarantineDirFor(dataDir, at = new Date()) {
+        return path.join(dataDir, 'quarantine', at.toISOString().replace(/[:.]/g, '-'), 'archive');
+    }
+
+    /**
+     * Run all checks.
+     *
+     * @param {object} [options]
+     * @param {boolean} [options.repair] - fix what can be fixed
+     * @returns {Promise<object>} report
+     */
+    async check(options = {}) {
+        const repair = !!options.repair;
+        const report = {
+            repair,
+            problems: 0,
+            archive: null,
+            database: null,
+            unindexedDays: [],
+            orphanedDays: [],
+            repaired: null,
+            errors: []
+        };
+        const repaired = {
+            quarantined: [], rewritten: [],
+            vectors: 0, chunks: 0, keywords: 0, embedded: 0,
+            reindexed: [], deletedDays: [], exchanges: 0
+        };
+
+        // 1. Archive files
+        let archive = null;
+        try {
+            archive = this.archiver.verify({ repair, quarantineDir: this.quarantineDir });
+            report.archive = {
+                files: archive.files,
+                days: archive.days,
+                unreadable: archive.unreadable,
+                badLines: archive.badLines,
+                shadowed: archive.shadowed,
+                stray: archive.stray
+            };
+            report.problems += archive.unreadable.length + archive.badLines.length +
+                archive.shadowed.length + archive.stray.length;
+            repaired.quarantined = archive.quarantined;
+            repaired.rewritten = archive.rewritten;
+        } catch (err) {
+            report.errors.push(`Archive: ${err.message}`);
+        }
+
+        if (!this.indexer) {
+            report.errors.push('Database: storage not available');
+            return this._finish(report, repaired);
+        }
+
+        // 2. Database
+        let findings = null;
+        try {
+            findings = this.indexer.inspect();
+            report.database = {
+                integrity: findings.integrity,
+                keywordIndexDamaged: findings.keywordIndexDamaged,
+                exchanges: findings.exchanges,
+                orphanVectors: findings.orphanVectors.length,
+                missingVectors: findings.missingVectors.length,
+                orphanChunks: findings.orphanChunks.length,
+                orphanKeywords: findings.orphanKeywords.length,
+                missingKeywords: findings.missingKeywords.length,
+                staleDates: findings.staleDates
+            };
+            report.problems += findings.integrity.length + (findings.keywordIndexDamaged ? 1 : 0) + findings.orphanVectors.length +
+                findings.missingVectors.length + findings.orphanChunks.length +
+                findings.orphanKeywords.length + findings.missingKeywords.length +
+                findings.staleDates.length;
+        } catch (err) {
+            report.errors.push(`Database: ${err.message}`);
+        }
+        if (findings && findings.integrity.length > 0) {
+            // Row-level repair on a damaged file can make it worse
+            report.errors.push('Database: SQLite integrity check failed; restore continuity.db from a backup or delete it to rebuild from the archive');
+        } else if (findings && repair) {
+            try {
+                const result = await this.indexer.repair(findings);
+                repaired.vectors = result.vectors;
+                repaired.chunks = result.chunks;
+                repaired.keywords = result.keywords;
+                repaired.embedded = result.embedded;
+            } catch (err) {
+                report.errors.push(`Database repair: ${err.message}`);
+            }
+        }
+
+        // 3. Across stores — skipped when the archive couldn't be listed,
+        // or every indexed day would look orphaned
+        if (!archive) return this._finish(report, repaired);
+        try {
+            const archiveDates = new Set(this.archiver.getDates());
+            const indexed = new Set(this.indexer.getIndexedDates());
+            // Stale dates were just unmarked by the repair; they are counted above
+            const stale = new Set(findings?.staleDates || []);
+
+            report.unindexedDays = [...archiveDates].filter(d => !indexed.has(d) && !stale.has(d));
+            report.orphanedDays = this.indexer.getDbDates().filter(d => !archiveDates.has(d));
+            report.problems += report.unindexedDays.length + report.orphanedDays.length;
+
+            if (repair) {
+                const kept = new Set(archive.quarantined.map(name => name.substring(0, 10)));
+                for (const date of report.orphanedDays) {
+                    if (kept.has(date)) continue;
+                    repaired.exchanges += this.indexer.deleteDate(date).exchanges;
+                    repaired.deletedDays.push(date);
+                }
+                for (const date of this.archiver.getUnindexedDates(this.indexer.getIndexedDates())) {
+                    const conversation = this.archiver.getConversation(date);
+                    if (!conversation?.messages) continue;
+                    await this.indexer.indexDay(date, conversation.messages);
+                    repaired.reindexed.push(date);
+                }
+            }
+        } catch (err) {
+            report.errors.push(`Cross-check: ${err.message}`);
+        }
+
+        return this._finish(report, repaired);
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _finish(report, repaired) {
+        if (report.repair) report.repaired = repaired;
+        return report;
+    }
+}
+
+module.exports = IntegrityChecker;
@@ -0,0 +1,277 @@
+/**
+ * Migrations — Ordered schema upgrades for continuity.db.
+ *
+ * The applied version is recorded in a schema_version table, one row
+ * per migration. On open, Indexer.initialize() runs every migration
+ * above the recorded version in order, each in its own transaction, so
+ * an interrupted upgrade resumes at the step that failed.
+ *
+ * Databases created before versioning existed start at version 0; the
+ * early migrations are written to be no-ops against tables that are
+ * already there.
+ *
+ * To change the schema, append a migration — never edit one that has
+ * shipped.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'exchanges',
+        up(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS exchanges (
+                    id TEXT PRIMARY KEY,
+                    date TEXT NOT NULL,
+                    exchange_index INTEGER,
+                    user_text TEXT,
+                    agent_text TEXT,
+                    combined TEXT,
+                    metadata TEXT,
+                    created_at TEXT DEFAULT (datetime('now'))
+                );
+                CREATE INDEX IF NOT EXISTS idx_exchanges_date ON exchanges(date);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'exchange content hash',
+        up(db) {
+            // Rows without a hash are re-embedded once
+            if (!_columns(db, 'exchanges').includes('content_hash')) {
+                db.exec('ALTER TABLE exchanges ADD COLUMN content_hash TEXT');
+            }
+        }
+    },
+    {
+        version: 3,
+        name: 'keyword index',
+        up(db) {
+            // BM25 over the raw exchange text. Catches exact tokens
+            // (codenames, error strings, numbers) that embeddings miss.
+            db.exec(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS exchanges_fts USING fts5(
+                    id UNINDEXED,
+                    user_text,
+                    agent_text,
+                    tokenize = 'porter unicode61'
+                )
+            `);
+            const ftsCount = db.prepare('SELECT COUNT(*) AS count FROM exchanges_fts').get().count;
+            if (ftsCount === 0) {
+                const backfill = db.prepare(`
+                    INSERT INTO exchanges_fts (id, user_text, agent_text)
+                    SELECT id, COALESCE(user_text, ''), COALESCE(agent_text, '') FROM exchanges
+                `).run();
+                if (backfill.changes > 0) {
+                    console.log(`[Migrations] Keyword index backfilled with ${backfill.changes} exchanges`);
+                }
+            }
+        }
+    },
+    {
+        version: 4,
+        name: 'vector tables',
+        up(db) {
+            // Which embedding model produced each vec0 table (blue/green re-index)
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS vector_tables (
+                    name TEXT PRIMARY KEY,
+                    model_id TEXT NOT NULL,
+                    dimensions INTEGER NOT NULL,
+                    state TEXT NOT NULL,
+                    provider TEXT,
+                    created_at TEXT DEFAULT (datetime('now')),
+                    activated_at TEXT
+                )
+            `);
+        }
+    },
+    {
+        version: 5,
+        name: 'indexed dates',
+        up(db, { indexLogPath }) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS indexed_dates (
+                    date TEXT PRIMARY KEY,
+                    exchange_count INTEGER NOT NULL,
+                    content_hash TEXT,
+                    model_id TEXT,
+                    indexed_at TEXT DEFAULT (datetime('now'))
+                )
+            `);
+
+            // Import the old index-log.json. Counts and hashes come from the
+            // rows actually stored, so a log that had drifted from the table
+            // is corrected; dates with rows but no log entry stay unmarked
+            // and are re-indexed (cheaply, by hash) on the next run.
+            if (!indexLogPath || !fs.existsSync(indexLogPath)) return;
+            let log;
+            try {
+                log = JSON.parse(fs.readFileSync(indexLogPath, 'utf8'));
+            } catch (err) {
+                console.warn(`[Migrations] Ignoring unreadable index log: ${err.message}`);
+                return;
+            }
+
+            const modelId = db.prepare("SELECT model_id FROM vector_tables WHERE state = 'active'").get()?.model_id || null;
+            const insert = db.prepare(`
+                INSERT OR IGNORE INTO indexed_dates (date, exchange_count, content_hash, model_id, indexed_at)
+                VALUES (?, ?, ?, ?, COALESCE(?, datetime('now')))
+            `);
+            const lastIndexed = log.lastIndexed ? log.lastIndexed.replace('T', ' ').substring(0, 19) : null;
+            for (const date of log.dates || []) {
+                const state = dateState(db, date);
+                insert.run(date, state.exchangeCount, state.contentHash, modelId, lastIndexed);
+            }
+
+            fs.renameSync(indexLogPath, `${indexLogPath}.migrated`);
+            console.log(`[Migrations] Imported ${(log.dates || []).length} dates from index-log.json`);
+        }
+    },
+    {
+        version: 6,
+        name: 'exchange chunks',
+        up(db) {
+            // Long exchanges are embedded as overlapping chunks, one vector
+            // per chunk (id "<exchange id>#<n>"). embedding_units lists what
+            // each vector table must hold: the exchange itself when it has
+            // no chunks, otherwise its chunks.
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS exchange_chunks (
+                    id TEXT PRIMARY KEY,
+                    exchange_id TEXT NOT NULL,
+                    chunk_index INTEGER NOT NULL,
+                    text TEXT NOT NULL
+                );
+                CREATE INDEX IF NOT EXISTS idx_exchange_chunks_exchange ON exchange_chunks(exchange_id);
+
+                CREATE VIEW IF NOT EXISTS embedding_units AS
+                    SELECT e.id, e.id AS exchange_id, e.date, e.exchange_index,
+                           0 AS chunk_index, e.combined AS text
+                    FROM exchanges e
+                    WHERE NOT EXISTS (SELECT 1 FROM exchange_chunks c WHERE c.exchange_id = e.id)
+                    UNION ALL
+                    SELECT c.id, c.exchange_id, e.date, e.exchange_index,
+                           c.chunk_index, c.text
+                    FROM exchange_chunks c
+                    JOIN exchanges e ON e.id = c.exchange_id;
+            `);
+        }
+    },
+    {
+        version: 7,
+        name: 'turn grouping',
+        up(db) {
+            // Exchanges are now whole turns, so exchange_index shifts on days
+            // with consecutive user or agent messages. Re-index every day;
+            // exchanges that didn't change keep their vectors (content hash).
+            const { changes } = db.prepare('DELETE FROM indexed_dates').run();
+            if (changes > 0) {
+                console.log(`[Migrations] ${changes} dates queued for re-indexing with turn grouping`);
+            }
+        }
+    },
+    {
+        version: 8,
+        name: 'record kinds',
+        up(db) {
+            // 'exchange' (a conversation turn) or 'tool' (an archived tool call)
+            if (!_columns(db, 'exchanges').includes('kind')) {
+                db.exec("ALTER TABLE exchanges ADD COLUMN kind TEXT NOT NULL DEFAULT 'exchange'");
+            }
+            db.exec('CREATE INDEX IF NOT EXISTS idx_exchanges_kind ON exchanges(kind)');
+        }
+    },
+    {
+        version: 9,
+        name: 'meta',
+        up(db) {
+            // Database-wide settings, e.g. the id of the encryption key
+            // the text columns are encrypted with
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS meta (
+                    key TEXT PRIMARY KEY,
+                    value TEXT
+                )
+            `);
+        }
+    }
+];
+
+/**
+ * Bring a database up to the latest schema version.
+ *
+ * @param {Database} db - open better-sqlite3 handle
+ * @param {object} [context] - passed to each migration (e.g. { indexLogPath })
+ * @returns {{ from: number, to: number, applied: string[] }}
+ */
+function migrate(db, context = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT DEFAULT (datetime('now'))
+        )
+    `);
+
+    const from = schemaVersion(db);
+    const latest = MIGRATIONS[MIGRATIONS.length - 1].version;
+    if (from > latest) {
+        console.warn(`[Migrations] Database schema v${from} is newer than this plugin (v${latest})`);
+        return { from, to: from, applied: [] };
+    }
+
+    const record = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= from) continue;
+        db.transaction(() => {
+            migration.up(db, context);
+            record.run(migration.version, migration.name);
+        })();
+        applied.push(migration.name);
+    }
+
+    const to = schemaVersion(db);
+    if (applied.length > 0) {
+        console.log(`[Migrations] Schema v${from} → v${to} (${applied.join(', ')})`);
+    }
+    return { from, to, applied };
+}
+
+/**
+ * Highest applied migration, 0 for an unversioned database.
+ * @param {Database} db
+ * @returns {number}
+ */
+function schemaVersion(db) {
+    return db.prepare('SELECT MAX(version) AS version FROM schema_version').get()?.version || 0;
+}
+
+/**
+ * Exchange count and combined content hash of a date's stored rows.
+ * The hash covers each exchange's hash in index order, so it changes
+ * whenever any exchange of the day is added, edited or removed.
+ *
+ * @param {Database} db
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{ exchangeCount: number, contentHash: string }}
+ */
+function dateState(db, date) {
+    const rows = db.prepare('SELECT content_hash FROM exchanges WHERE date = ? ORDER BY exchange_index')
+        .all(date);
+    const hash = crypto.createHash('sha256');
+    for (const row of rows) hash.update(`${row.content_hash || ''}\n`);
+    return { exchangeCount: rows.length, contentHash: hash.digest('hex') };
+}
+
+function _columns(db, table) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+module.exports = { migrate, schemaVersion, dateState, MIGRATIONS };
@@ -0,0 +1,252 @@
+/**
+ * NamespaceRegistry — Per-agent / per-user memory isolation.
+ *
+ * Resolves a namespace id from hook context (agent id, sender id,
+ * channel — whichever keys are configured) and lazily creates an
+ * isolated Archiver + Indexer + Searcher set for each namespace.
+ *
+ * Layout:
+ *   default namespace → {dataDir}/archive, {dataDir}/continuity.db
+ *                       (the original single-memory layout)
+ *   other namespaces  → {dataDir}/namespaces/{encodedId}/archive,
+ *                       {dataDir}/namespaces/{encodedId}/continuity.db
+ *
+ * With no keys configured every hook resolves to the default namespace,
+ * so existing installs keep their data exactly where it was.
+ *
+ * The embedding backend is loaded once — every namespace's Indexer and
+ * Searcher share one EmbeddingProvider. Likewise one Cipher (encryption
+ * at rest) serves every namespace; it is built up front so a missing key
+ * fails plugin startup instead of surfacing as an empty memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Archiver = require('./archiver');
+const Indexer = require('./indexer');
+const Searcher = require('./searcher');
+const EmbeddingProvider = require('./embedding-provider');
+const Cipher = require('../lib/cipher');
+
+const DEFAULT_NAMESPACE = 'default';
+
+// Where each namespace key can be found on the hook ctx / event.
+// First non-empty value wins. Unknown keys are read verbatim.
+const KEY_SOURCES = {
+    agentId: ['agentId', 'agent'],
+    senderId: ['senderId', 'userId', 'from', 'peerId'],
+    channel: ['channel', 'channelId', 'messageProvider', 'messageChannel', 'provider']
+};
+
+class NamespaceRegistry {
+    /**
+     * @param {object} config - full plugin config (reads namespace section)
+     * @param {string} dataDir - plugin data directory
+     */
+    constructor(config = {}, dataDir) {
+        const nc = config.namespace || {};
+        this.config = config;
+        this.dataDir = dataDir;
+        this.keys = Array.isArray(nc.keys) ? nc.keys : [];
+        this.namespacesDir = path.join(dataDir, nc.dir || 'namespaces');
+
+        // ns → { archiver, indexer, searcher, ready, initPromise }
+        this._stores = new Map();
+        this.embeddings = new EmbeddingProvider(config);
+        // Throws when encryption is enabled without a usable key
+        this.cipher = Cipher.fromConfig(config);
+    }
+
+    /**
+     * Resolve the namespace id for a hook invocation.
+     * Missing values become '-' so partial context still maps to a stable id.
+     *
+     * @param {object} [ctx] - hook context
+     * @param {object} [event] - hook event (fallback source)
+     * @returns {string} namespace id
+     */
+    resolve(ctx = {}, event = {}) {
+        if (this.keys.length === 0) return DEFAULT_NAMESPACE;
+
+        const values = this.keys.map(key => {
+            const sources = KEY_SOURCES[key] || [key];
+            for (const source of sources) {
+                const value = ctx?.[source] ?? event?.[source];
+                if (value !== undefined && value !== null && String(value).length > 0) {
+                    return String(value);
+                }
+            }
+            return '-';
+        });
+
+        if (values.every(v => v === '-')) return DEFAULT_NAMESPACE;
+        return values.join(':');
+    }
+
+    /**
+     * Resolve a namespace from a gateway method parameter.
+     * Accepts a namespace id string or an object of key values
+     * (e.g. { agentId: 'main', senderId: '42' }).
+     *
+     * @param {string|object} [param]
+     * @returns {string}
+     */
+    fromParam(param) {
+        if (!param) return DEFAULT_NAMESPACE;
+        if (typeof param === 'string') return param;
+        if (typeof param === 'object') return this.resolve(param);
+        return DEFAULT_NAMESPACE;
+    }
+
+    /**
+     * Get the data directory for a namespace.
+     * @param {string} ns
+     * @returns {string}
+     */
+    dataDirFor(ns) {
+        if (!ns || ns === DEFAULT_NAMESPACE) return this.dataDir;
+        return path.join(this.namespacesDir, _encodeId(ns));
+    }
+
+    /**
+     * Get the Archiver for a namespace (cheap — no DB or model involved).
+     * @param {string} ns
+     * @returns {Archiver}
+     */
+    getArchiver(ns) {
+        return this._entry(ns).archiver;
+    }
+
+    /**
+     * Get the full store set for a namespace, initializing the Indexer
+     * and Searcher on first use. Initialization is serialized per namespace;
+     * on failure indexer/searcher are null and the next call retries.
+     *
+     * @param {string} ns
+     * @returns {Promise<{ archiver: Archiver, indexer: Indexer|null, searcher: Searcher|null }>}
+     */
+    async getStores(ns) {
+        const entry = this._entry(ns);
+        if (entry.ready) return entry;
+
+        if (!entry.initPromise) {
+            entry.initPromise = (async () => {
+                try {
+                    const dir = this.dataDirFor(ns);
+                    const options = { embeddings: this.embeddings, cipher: this.cipher };
+                    const indexer = new Indexer(this.config, dir, options);
+                    const ok = await indexer.initialize();
+                    if (!ok) throw new Error('Indexer initialization failed');
+                    indexer.alignDays(entry.archiver.getDates());
+                    const searcher = new Searcher(this.config, dir, indexer.db, options);
+                    await searcher.initialize();
+
+                    entry.indexer = indexer;
+                    entry.searcher = searcher;
+                    entry.ready = true;
+                } catch (err) {
+                    console.error(`[Continuity] Storage init failed for namespace "${ns}": ${err.message}`);
+                    entry.indexer = null;
+                    entry.searcher = null;
+                }
+            })();
+        }
+
+        await entry.initPromise;
+        entry.initPromise = null;
+        return entry;
+    }
+
+    /**
+     * Whether a namespace's Indexer + Searcher are initialized.
+     * @param {string} ns
+     * @returns {boolean}
+     */
+    isReady(ns) {
+        return !!this._stores.get(ns || DEFAULT_NAMESPACE)?.ready;
+    }
+
+    /**
+     * Get a namespace's stores only if already initialized — never opens
+     * a database. Used for status reporting.
+     * @param {string} ns
+     * @returns {{ archiver: Archiver, indexer: Indexer, searcher: Searcher }|null}
+     */
+    peekStores(ns) {
+        const entry = this._stores.get(ns || DEFAULT_NAMESPACE);
+        return entry?.ready ? entry : null;
+    }
+
+    /**
+     * List all known namespaces — those on disk plus any opened this run.
+     * The default namespace is always included.
+     * @returns {string[]}
+     */
+    list() {
+        const ids = new Set([DEFAULT_NAMESPACE, ...this._stores.keys()]);
+        try {
+            for (const entry of fs.readdirSync(this.namespacesDir, { withFileTypes: true })) {
+                if (entry.isDirectory()) ids.add(_decodeId(entry.name));
+            }
+        } catch {
+            // No namespaces directory yet
+        }
+        return [...ids].sort();
+    }
+
+    /**
+     * Close every open database connection.
+     */
+    closeAll() {
+        for (const entry of this._stores.values()) {
+            if (entry.indexer) entry.indexer.close();
+            entry.indexer = null;
+            entry.searcher = null;
+            entry.ready = false;
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _entry(ns) {
+        const id = ns || DEFAULT_NAMESPACE;
+        let entry = this._stores.get(id);
+        if (!entry) {
+            entry = {
+                archiver: new Archiver(this.config, this.dataDirFor(id), { cipher: this.cipher }),
+                indexer: null,
+                searcher: null,
+                ready: false,
+                initPromise: null
+            };
+            this._stores.set(id, entry);
+        }
+        return entry;
+    }
+}
+
+/**
+ * Encode a namespace id into a filesystem-safe, reversible directory name.
+ * A leading dot is escaped too, so "." and ".." can't name the namespaces
+ * directory or its parent, and no namespace becomes a hidden directory.
+ */
+function _encodeId(ns) {
+    return ns.replace(/^\.|[^A-Za-z0-9._-]/g, c => {
+        const code = c.charCodeAt(0);
+        return code > 0xff
+            ? '%u' + code.toString(16).toUpperCase().padStart(4, '0')
+            : '%' + code.toString(16).toUpperCase().padStart(2, '0');
+    });
+}
+
+function _decodeId(name) {
+    return name.replace(/%u([0-9A-F]{4})|%([0-9A-F]{2})/g, (_, wide, narrow) =>
+        String.fromCharCode(parseInt(wide || narrow, 16))
+    );
+}
+
+NamespaceRegistry.DEFAULT_NAMESPACE = DEFAULT_NAMESPACE;
+
+module.exports = NamespaceRegistry;
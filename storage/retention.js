@@ -0,0 +1,140 @@
+/**
+ * RetentionPolicy — Expire old conversations from every store at once.
+ *
+ * archive.retentionDays applies to the archive, the exchanges table, the
+ * vectors and the keyword index together; pruning only the day files
+ * left expired conversations recallable from the database forever.
+ *
+ * With archive.tiering, an expired day is cut down instead of deleted
+ * (Archiver.pruneOld): messages marked important stay, and the rest is
+ * replaced by a summary record. The day is then re-indexed from what is
+ * left, so the database holds the same tier as the archive.
+ *
+ * Messages are marked important by record id (markImportant), as
+ * returned by continuity.search; a conversation turn is marked whole.
+ * Ids are positional, so they are resolved through the indexed row's
+ * content rather than the day's current pairing; an id whose row no
+ * longer matches the archive is reported as an error.
+ */
+
+class RetentionPolicy {
+    /**
+     * @param {object} config - full plugin config
+     * @param {Archiver} archiver
+     * @param {Indexer|null} indexer - null if storage is unavailable (archive only)
+     */
+    constructor(config = {}, archiver, indexer) {
+        this.archiver = archiver;
+        this.indexer = indexer;
+    }
+
+    /**
+     * Prune or tier expired archive days and update the index to match.
+     * Also deletes rows of expired days already gone from the archive
+     * (pruned before the database followed retention).
+     *
+     * @returns {Promise<{ removed: number, tiered: number, exchanges: number, reindexed: number, errors: string[] }>}
+     */
+    async apply() {
+        const pruned = this.archiver.pruneOld();
+        const report = { removed: pruned.removed, tiered: pruned.tiered, exchanges: 0, reindexed: 0, errors: [] };
+        if (!this.indexer) return report;
+
+        for (const date of pruned.removedDates) {
+            try {
+                report.exchanges += this.indexer.deleteDate(date).exchanges;
+            } catch (err) {
+                report.errors.push(`${date}: ${err.message}`);
+            }
+        }
+
+        // Record ids are positional, so a tiered day is dropped from the
+        // index and re-indexed from what is left
+        for (const date of pruned.tieredDates) {
+            try {
+                const deleted = this.indexer.deleteDate(date).exchanges;
+                const conversation = this.archiver.getConversation(date);
+                const reindexed = conversation
+                    ? await this.indexer.indexDay(date, conversation.messages)
+                    : { indexed: 0 };
+                report.exchanges += Math.max(0, deleted - reindexed.indexed);
+                report.reindexed += reindexed.indexed;
+            } catch (err) {
+                report.errors.push(`${date}: ${err.message}`);
+            }
+        }
+
+        const cutoff = this.archiver.retentionCutoff();
+        const archived = new Set(this.archiver.getDates());
+        for (const date of this.indexer.getDbDates().filter(d => d < cutoff && !archived.has(d))) {
+            try {
+                report.exchanges += this.indexer.deleteDate(date).exchanges;
+            } catch (err) {
+                report.errors.push(`${date}: ${err.message}`);
+            }
+        }
+
+        if (report.removed > 0 || report.tiered > 0 || report.exchanges > 0) {
+            console.log(`[Retention] Removed ${report.removed} days, tiered ${report.tiered}, deleted ${report.exchanges} indexed records`);
+        }
+        return report;
+    }
+
+    /**
+     * Mark records important (or clear the mark). Only the archive is
+     * changed; the flag matters when the day expires.
+     *
+     * @param {string[]} ids - exchange or tool record ids (exchange_{date}_{index}, tool_{date}_{index})
+     * @param {boolean} [important]
+     * @returns {{ marked: number, ids: string[], errors: string[] }} marked counts messages
+     */
+    markImportant(ids, important = true) {
+        const report = { marked: 0, ids: [], errors: [] };
+        if (!this.indexer) {
+            report.errors.push('Record ids need the index: storage not available');
+            return report;
+        }
+        const byDate = new Map();
+        for (const id of ids || []) {
+            const match = /^(exchange|tool)_(\d{4}-\d{2}-\d{2})_(\d+)$/.exec(String(id));
+            if (!match) {
+                report.errors.push(`Unrecognized record id: ${id}`);
+                continue;
+            }
+            const date = match[2];
+            if (!byDate.has(date)) byDate.set(date, []);
+            byDate.get(date).push(String(id));
+        }
+
+        for (const [date, targets] of byDate) {
+            const conversation = this.archiver.getConversation(date);
+            if (!conversation) {
+                report.errors.push(`No archive day ${date}`);
+                continue;
+            }
+            const chosen = new Set();
+            for (const id of targets) {
+                if (!this.indexer.getExchange(id)) {
+                    report.errors.push(`Unknown record id: ${id}`);
+                    continue;
+                }
+                const messages = this.indexer.resolveRecord(id, date, conversation.messages);
+                if (!messages) {
+                    report.errors.push(`${id} no longer matches the archive (the day changed since it was indexed); search again for a current id`);
+                    continue;
+                }
+                for (const m of messages) chosen.add(m);
+                report.ids.push(id);
+            }
+            // Messages are re-read by markImportant(), so match on content
+            const isChosen = msg => [...chosen].some(m =>
+                m.timestamp === msg.timestamp && m.sender === msg.sender && m.text === msg.text
+            );
+            if (chosen.size === 0) continue;
+            report.marked += this.archiver.markImportant(date, isChosen, important).marked;
+        }
+        return report;
+    }
+}
+
+module.exports = RetentionPolicy;
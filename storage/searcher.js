@@ -4,229 +4,276 @@
  * Extracted from Clint's archiveIndexer.js (search logic) +
  * knowledgeSystem.js (vec MATCH query pattern).
  *
- * Shares the same continuity.db as Indexer. Queries vec_exchanges
+ * Shares the same continuity.db as Indexer. Queries the active vector table
  * for semantically similar past exchanges, re-ranked with temporal
  * decay so newer exchanges about the same topic outrank older ones.
  *
  * Temporal ranking pattern adapted from Clint's intelligentRetrieval.js:
  * recencyBoost = exp(-ageInDays / halfLife) * weight
+ *
+ * Hybrid mode also queries the exchanges_fts BM25 index and fuses both
+ * candidate lists with reciprocal-rank fusion, so exact tokens the
+ * embedding misses (codenames, error strings, numbers) still surface.
+ *
+ * Records are conversation turns (type 'exchange'), archived tool calls
+ * (type 'tool') or summaries of expired days (type 'summary');
+ * `options.types` / search.types limit which are searched.
+ *
+ * Long exchanges are indexed as several chunk vectors. Chunk hits are
+ * collapsed to their parent exchange (best chunk wins) and the result
+ * reports which chunk matched.
+ *
+ * Searches go to the active vector table (vector_tables). While a
+ * re-index for a new model is running, queries are embedded with the
+ * model that produced the active table, if it can still be reached.
  */
 
+const EmbeddingProvider = require('./embedding-provider');
+const DayClock = require('../lib/day-clock');
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const RECORD_TYPES = ['exchange', 'tool', 'summary'];
+
+// Providers recreated for a previous model's vector table, by stored config.
+// Shared by all namespaces; failures are retried after PREVIOUS_RETRY_MS.
+const previousProviders = new Map();
+const PREVIOUS_RETRY_MS = 5 * 60 * 1000;
+
 class Searcher {
     /**
      * @param {object} config - full plugin config
      * @param {string} dataDir - plugin data directory
      * @param {object} db - shared better-sqlite3 database instance (from Indexer)
+     * @param {object} [options]
+     * @param {EmbeddingProvider} [options.embeddings] - shared provider (one is created if omitted)
+     * @param {Cipher|null} [options.cipher] - decrypts stored text when set
      */
-    constructor(config = {}, dataDir, db) {
+    constructor(config = {}, dataDir, db, options = {}) {
         this.db = db;
-        this._embeddingFn = null;
+        this.embeddings = options.embeddings || new EmbeddingProvider(config);
+        this.cipher = options.cipher || null;
+        this.clock = new DayClock(config);
         this._initialized = false;
 
         // Temporal ranking config
         this._recencyHalfLifeDays = config.search?.recencyHalfLifeDays || 14;
         this._recencyWeight = config.search?.recencyWeight || 0.15;
+
+        // Hybrid retrieval config (reciprocal-rank fusion)
+        this._mode = config.search?.mode || 'hybrid';
+        this._vectorWeight = config.search?.vectorWeight ?? 1.0;
+        this._keywordWeight = config.search?.keywordWeight ?? 1.0;
+        this._rrfK = config.search?.rrfK || 60;
+        this._types = _normalizeTypes(config.search?.types) || RECORD_TYPES;
+        this._keywordIndexAvailable = undefined;
     }
 
     /**
-     * Initialize embedding function for query generation.
-     * If the Indexer has already been initialized, this shares its DB.
-     * Otherwise, creates its own embedding pipeline.
+     * Initialize the query embedding backend (shared with the Indexer
+     * when the same EmbeddingProvider was passed to both).
+     * Failure is logged, not thrown — keyword search still works.
      */
     async initialize() {
         if (this._initialized) return;
-
-        // 1) Try llama.cpp embedding server (GPU-accelerated)
-        const llamaUrl = process.env.LLAMA_EMBED_URL || 'http://localhost:8082';
         try {
-            const http = require('http');
-            const testPayload = JSON.stringify({ input: 'search_query: test', model: 'nomic-embed-text-v1.5' });
-            const result = await new Promise((resolve, reject) => {
-                const url = new URL(`${llamaUrl}/v1/embeddings`);
-                const req = http.request({
-                    hostname: url.hostname,
-                    port: url.port,
-                    path: url.pathname,
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(testPayload) },
-                    timeout: 5000,
-                }, (res) => {
-                    let body = '';
-                    res.on('data', chunk => body += chunk);
-                    res.on('end', () => {
-                        try { resolve(JSON.parse(body)); } catch (e) { reject(e); }
-                    });
-                });
-                req.on('error', reject);
-                req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-                req.write(testPayload);
-                req.end();
-            });
-
-            if (result?.data?.[0]?.embedding?.length > 0) {
-                this._embeddingFn = {
-                    generate: async (texts) => {
-                        // Use search_query prefix for retrieval queries
-                        const prefixed = texts.map(t => t.startsWith('search_') ? t : `search_query: ${t}`);
-                        const payload = JSON.stringify({ input: prefixed, model: 'nomic-embed-text-v1.5' });
-                        return new Promise((resolve, reject) => {
-                            const url = new URL(`${llamaUrl}/v1/embeddings`);
-                            const req = http.request({
-                                hostname: url.hostname,
-                                port: url.port,
-                                path: url.pathname,
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
-                                timeout: 30000,
-                            }, (res) => {
-                                let body = '';
-                                res.on('data', chunk => body += chunk);
-                                res.on('end', () => {
-                                    try {
-                                        const data = JSON.parse(body);
-                                        resolve((data.data || []).map(d => d.embedding));
-                                    } catch (e) { reject(e); }
-                                });
-                            });
-                            req.on('error', reject);
-                            req.on('timeout', () => { req.destroy(); reject(new Error('timeout')); });
-                            req.write(payload);
-                            req.end();
-                        });
-                    }
-                };
-                this._initialized = true;
-                console.log(`[Searcher] llama.cpp embedding server ready (${llamaUrl})`);
-                return;
-            }
-        } catch (err) {
-            console.warn(`[Searcher] llama.cpp not available: ${err.message}`);
-        }
-
-        // 2) Fallback: ONNX
-        try {
-            const { DefaultEmbeddingFunction } = require('@chroma-core/default-embed');
-            this._embeddingFn = new DefaultEmbeddingFunction();
-            await this._embeddingFn.generate(['warmup']);
+            await this.embeddings.initialize();
             this._initialized = true;
-            console.log('[Searcher] ONNX embedding ready — fallback');
-        } catch {
-            try {
-                const { pipeline } = require('@huggingface/transformers');
-                const pipe = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-                this._embeddingFn = {
-                    generate: async (texts) => {
-                        const results = [];
-                        for (const text of texts) {
-                            const output = await pipe(text, { pooling: 'mean', normalize: true });
-                            results.push(Array.from(output.data));
-                        }
-                        return results;
-                    }
-                };
-                this._initialized = true;
-            } catch (err) {
-                console.error('[Searcher] No embedding model available:', err.message);
-            }
+        } catch (err) {
+            console.error('[Searcher] No embedding model available:', err.message);
         }
     }
 
     /**
-     * Search for semantically similar exchanges with temporal re-ranking.
+     * Search for relevant exchanges.
      *
-     * 1. Fetch candidates from vec (semantic distance)
-     * 2. Re-rank by blending distance with recency boost
-     * 3. Sort by composite score (lower = better)
+     * Modes:
+     *   vector  — semantic distance re-ranked with temporal decay
+     *             (compositeScore, lower = better)
+     *   keyword — FTS5 BM25 over the exchange text
+     *   hybrid  — both candidate lists fused with reciprocal-rank fusion:
+     *             fusedScore = Σ weight / (rrfK + rank), scaled by (1 + recencyBoost)
+     *
+     * Keyword and hybrid results are sorted by fusedScore (higher = better).
+     * Hybrid degrades to keyword-only when no embedding model is available.
+     * With encryption enabled there is no keyword index: hybrid runs as
+     * vector and keyword mode returns an error.
      *
      * @param {string} query - natural language search query
      * @param {number} [limit=5] - max results to return
-     * @returns {{ exchanges: Array, distances: number[] }}
+     * @param {object} [options]
+     * @param {'vector'|'keyword'|'hybrid'} [options.mode] - defaults to config search.mode
+     * @param {string|string[]} [options.types] - 'exchange', 'tool', 'summary' or several (default search.types)
+     * @returns {{ exchanges: Array, distances: number[], mode: string }}
      */
-    async search(query, limit = 5) {
-        if (!this.db) {
-            return { exchanges: [], distances: [], error: 'Database not available' };
+    async search(query, limit = 5, options = {}) {
+        let mode = options.mode || this._mode;
+        if (!SEARCH_MODES.includes(mode)) {
+            return { exchanges: [], distances: [], mode, error: `Unknown search mode "${mode}"` };
+        }
+        if (this.cipher && mode !== 'vector') {
+            if (mode === 'keyword') {
+                return { exchanges: [], distances: [], mode, error: 'Keyword search is unavailable while encryption is enabled' };
+            }
+            mode = 'vector';
+        }
+        const types = options.types === undefined ? this._types : _normalizeTypes(options.types);
+        if (!types) {
+            return { exchanges: [], distances: [], mode, error: `Unknown record type in "${options.types}" (expected ${RECORD_TYPES.join(', ')})` };
         }
 
-        if (!this._initialized) {
-            await this.initialize();
+        if (!this.db) {
+            return { exchanges: [], distances: [], mode, error: 'Database not available' };
         }
 
-        if (!this._embeddingFn) {
-            return { exchanges: [], distances: [], error: 'Embedding model not available' };
+        if (mode !== 'keyword' && !this._initialized) {
+            await this.initialize();
         }
 
         try {
-            // Generate query embedding
-            const embeddings = await this._embeddingFn.generate([query]);
-            const queryEmbedding = embeddings?.[0];
-            if (!queryEmbedding) {
-                return { exchanges: [], distances: [], error: 'Failed to generate query embedding' };
-            }
-
             // Fetch more candidates than needed — re-ranking may reorder them.
             // We fetch 2x limit so temporal boost can promote newer exchanges
             // that ranked slightly lower by pure semantic distance.
             const fetchLimit = Math.min(limit * 2, 60);
 
-            const results = this.db.prepare(`
-                SELECT
-                    e.id,
-                    e.combined,
-                    e.user_text,
-                    e.agent_text,
-                    e.date,
-                    e.exchange_index,
-                    e.metadata,
-                    e.created_at,
-                    v.distance
-                FROM vec_exchanges v
-                JOIN exchanges e ON e.id = v.id
-                WHERE v.embedding MATCH ?
-                AND k = ?
-                ORDER BY v.distance ASC
-            `).all(new Float32Array(queryEmbedding), fetchLimit);
-
-            // Re-rank with temporal decay
-            const now = Date.now();
-            const reranked = results.map(r => {
-                const ageMs = now - this._parseTimestamp(r.date, r.exchange_index, r.created_at);
-                const ageDays = ageMs / (1000 * 60 * 60 * 24);
-                const recencyBoost = Math.exp(-ageDays / this._recencyHalfLifeDays) * this._recencyWeight;
-
-                // Composite score: lower distance is better, higher recency is better.
-                // Subtract recency boost from distance so newer exchanges score lower (better).
-                const compositeScore = r.distance - recencyBoost;
-
-                return {
-                    id: r.id,
-                    date: r.date,
-                    exchangeIndex: r.exchange_index,
-                    userText: r.user_text,
-                    agentText: r.agent_text,
-                    combined: r.combined,
-                    metadata: this._parseMetadata(r.metadata),
-                    distance: r.distance,
-                    recencyBoost,
-                    compositeScore
-                };
-            });
+            const vectors = mode === 'keyword'
+                ? { table: null, embeddings: null, reindexing: false }
+                : await this._activeVectors();
 
-            // Sort by composite score (lower = more relevant + more recent)
-            reranked.sort((a, b) => a.compositeScore - b.compositeScore);
+            let queryEmbedding = null;
+            if (vectors.embeddings) {
+                try {
+                    queryEmbedding = await vectors.embeddings.embedQuery(query);
+                } catch (err) {
+                    // Hybrid degrades to keyword-only below
+                    if (mode === 'vector') throw err;
+                    console.warn(`[Searcher] Query embedding failed: ${err.message}`);
+                }
+            }
 
-            // Take the top results
-            const top = reranked.slice(0, limit);
+            if (mode === 'vector') {
+                if (!vectors.embeddings) {
+                    const error = vectors.reindexing
+                        ? 'Vector index is being rebuilt for a new embedding model'
+                        : 'Embedding model not available';
+                    return { exchanges: [], distances: [], mode, error, reindexing: vectors.reindexing };
+                }
+                if (!queryEmbedding) {
+                    return { exchanges: [], distances: [], mode, error: 'Failed to generate query embedding' };
+                }
+                const result = this._vectorSearch(queryEmbedding, limit, fetchLimit, vectors.table, types);
+                if (vectors.reindexing) result.reindexing = true;
+                return result;
+            }
 
-            return {
+            // keyword / hybrid
+            const lists = [];
+            const keywordRows = this._keywordCandidates(query, fetchLimit, types);
+            lists.push({ source: 'keyword', weight: this._keywordWeight, rows: keywordRows });
+
+            let effectiveMode = mode;
+            if (mode === 'hybrid') {
+                if (queryEmbedding) {
+                    const vectorRanked = this._rerank(this._vectorCandidates(queryEmbedding, fetchLimit, vectors.table, types));
+                    lists.push({ source: 'vector', weight: this._vectorWeight, rows: vectorRanked });
+                } else {
+                    effectiveMode = 'keyword';
+                }
+            }
+
+            const fused = this._fuse(lists);
+
+            // Keyword-only hits still get a semantic distance when we have
+            // a query embedding, so callers can apply distance thresholds.
+            if (queryEmbedding) {
+                this._fillDistances(fused.filter(r => r.distance === null), queryEmbedding, vectors.table);
+            }
+
+            const top = fused.slice(0, limit);
+            const result = {
                 exchanges: top,
-                distances: top.map(r => r.distance)
+                distances: top.map(r => r.distance),
+                mode: effectiveMode
             };
+            if (effectiveMode !== mode) result.degraded = true;
+            if (vectors.reindexing) result.reindexing = true;
+            return result;
         } catch (error) {
             console.error('[Searcher] Search error:', error.message);
-            return { exchanges: [], distances: [], error: error.message };
+            return { exchanges: [], distances: [], mode, error: error.message };
         }
     }
 
+    /**
+     * Run several query variants and merge their candidate sets.
+     *
+     * Each variant is searched with search(); the ranked lists are fused
+     * with reciprocal-rank fusion. Every merged hit carries `variants` —
+     * the names of the variants that returned it — and keeps the best
+     * (lowest) compositeScore / distance seen across variants.
+     * Variants with identical query text are searched once.
+     *
+     * @param {Array<{ variant: string, query: string }>} variants
+     * @param {number} [limit=5] - max results to return
+     * @param {object} [options] - passed through to search()
+     * @returns {{ exchanges: Array, distances: number[], mode: string, variants: Array }}
+     */
+    async multiSearch(variants, limit = 5, options = {}) {
+        // Collapse variants that share the same query text
+        const byQuery = new Map();
+        for (const { variant, query } of variants) {
+            const key = String(query || '').trim().toLowerCase();
+            if (!key) continue;
+            if (byQuery.has(key)) {
+                byQuery.get(key).names.push(variant);
+            } else {
+                byQuery.set(key, { query: query.trim(), names: [variant] });
+            }
+        }
+
+        const merged = new Map();
+        const summary = [];
+        let mode = options.mode || this._mode;
+
+        for (const { query, names } of byQuery.values()) {
+            const results = await this.search(query, limit, options);
+            summary.push({
+                variants: names,
+                query,
+                count: results.exchanges.length,
+                ...(results.error ? { error: results.error } : {})
+            });
+            if (results.mode) mode = results.mode;
+
+            results.exchanges.forEach((ex, i) => {
+                let hit = merged.get(ex.id);
+                if (!hit) {
+                    hit = { ...ex, variants: [], rrf: 0 };
+                    merged.set(ex.id, hit);
+                } else if (ex.compositeScore !== null && ex.compositeScore !== undefined &&
+                           (hit.compositeScore === null || hit.compositeScore === undefined ||
+                            ex.compositeScore < hit.compositeScore)) {
+                    hit.compositeScore = ex.compositeScore;
+                    hit.distance = ex.distance;
+                    hit.chunk = ex.chunk;
+                }
+                hit.variants.push(...names);
+                hit.rrf += 1 / (this._rrfK + i + 1);
+            });
+        }
+
+        const exchanges = [...merged.values()]
+            .sort((a, b) => b.rrf - a.rrf)
+            .slice(0, limit)
+            .map(({ rrf, ...hit }) => ({ ...hit, multiQueryScore: rrf }));
+
+        return {
+            exchanges,
+            distances: exchanges.map(r => r.distance),
+            mode,
+            variants: summary
+        };
+    }
+
     /**
      * Format search results into a prompt-injectable block.
      * Results are sorted chronologically (oldest first) so the model
@@ -251,8 +298,15 @@ class Searcher {
 
         for (const ex of items) {
             lines.push(`[${ex.date}]`);
-            if (ex.userText) lines.push(`  User: ${this._truncate(ex.userText, 300)}`);
-            if (ex.agentText) lines.push(`  Agent: ${this._truncate(ex.agentText, 300)}`);
+            const [userLabel, agentLabel] = ex.type === 'tool' ? ['Tool', 'Result']
+                : ex.type === 'summary' ? ['Summary', 'Agent'] : ['User', 'Agent'];
+            if (ex.userText) lines.push(`  ${userLabel}: ${this._truncate(ex.userText, 300)}`);
+            if (ex.agentText) lines.push(`  ${agentLabel}: ${this._truncate(ex.agentText, 300)}`);
+            // A later chunk matched — the relevant part is past the excerpt above
+            if (ex.chunk?.index > 0 && ex.chunk.text) {
+                const passage = ex.chunk.text.substring(ex.chunk.text.indexOf('\n') + 1);
+                lines.push(`  Matched passage: ...${this._truncate(passage, 400)}`);
+            }
             lines.push('');
         }
 
@@ -263,21 +317,304 @@ class Searcher {
     // Internal
     // ---------------------------------------------------------------
 
+    /**
+     * Pure vector search with temporal re-ranking (the original behaviour).
+     */
+    _vectorSearch(queryEmbedding, limit, fetchLimit, table, types) {
+        const reranked = this._rerank(this._vectorCandidates(queryEmbedding, fetchLimit, table, types));
+
+        // Take the top results
+        const top = reranked.slice(0, limit);
+
+        return {
+            exchanges: top,
+            distances: top.map(r => r.distance),
+            mode: 'vector'
+        };
+    }
+
+    /**
+     * Nearest neighbours from the active vector table, joined to their exchange rows.
+     * Chunk vectors ("<exchange id>#<n>") are collapsed to their exchange,
+     * keeping the closest chunk; twice as many neighbours are fetched so
+     * collapsing still leaves fetchLimit exchanges. Records of other types
+     * are dropped after the nearest-neighbour query, which can't filter.
+     */
+    _vectorCandidates(queryEmbedding, fetchLimit, table = 'vec_exchanges', types = RECORD_TYPES) {
+        const rows = this.db.prepare(`
+            SELECT
+                e.id,
+                e.kind,
+                e.combined,
+                e.user_text,
+                e.agent_text,
+                e.date,
+                e.exchange_index,
+                e.metadata,
+                e.created_at,
+                v.id AS unit_id,
+                c.text AS chunk_text,
+                v.distance
+            FROM ${table} v
+            JOIN exchanges e ON e.id = CASE
+                WHEN instr(v.id, '#') > 0 THEN substr(v.id, 1, instr(v.id, '#') - 1)
+                ELSE v.id
+            END
+            LEFT JOIN exchange_chunks c ON c.id = v.id
+            WHERE v.embedding MATCH ?
+            AND k = ?
+            ORDER BY v.distance ASC
+        `).all(new Float32Array(queryEmbedding), fetchLimit * 2);
+
+        const byExchange = new Map();
+        for (const row of rows) {
+            if (!types.includes(row.kind)) continue;
+            if (!byExchange.has(row.id)) byExchange.set(row.id, row);
+        }
+        return [...byExchange.values()].slice(0, fetchLimit);
+    }
+
+    /**
+     * BM25 candidates from exchanges_fts (best first).
+     * Every query word is quoted and OR-ed, so punctuation in the
+     * user's text can't break FTS5 query syntax.
+     */
+    _keywordCandidates(query, fetchLimit, types = RECORD_TYPES) {
+        const terms = (String(query || '').match(/[\p{L}\p{N}_]+/gu) || []).slice(0, 32);
+        if (terms.length === 0 || !this._hasKeywordIndex()) return [];
+
+        const match = terms.map(t => `"${t.replace(/"/g, '""')}"`).join(' OR ');
+        return this.db.prepare(`
+            SELECT
+                e.id,
+                e.kind,
+                e.combined,
+                e.user_text,
+                e.agent_text,
+                e.date,
+                e.exchange_index,
+                e.metadata,
+                e.created_at,
+                bm25(exchanges_fts, 0.0, 1.0, 1.0) AS bm25
+            FROM exchanges_fts f
+            JOIN exchanges e ON e.id = f.id
+            WHERE exchanges_fts MATCH ?
+            AND e.kind IN (${types.map(() => '?').join(', ')})
+            ORDER BY bm25 ASC
+            LIMIT ?
+        `).all(match, ...types, fetchLimit);
+    }
+
+    _hasKeywordIndex() {
+        if (this._keywordIndexAvailable === undefined) {
+            const row = this.db.prepare(
+                "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'exchanges_fts'"
+            ).get();
+            this._keywordIndexAvailable = !!row;
+        }
+        return this._keywordIndexAvailable;
+    }
+
+    /**
+     * The vector table to search and a provider that embeds queries into
+     * its vector space. Normally that is the shared provider; during a
+     * re-index the active table still holds the previous model's vectors,
+     * so its stored provider config is used instead (null if unreachable).
+     * @returns {Promise<{ table: string, embeddings: EmbeddingProvider|null, reindexing: boolean }>}
+     */
+    async _activeVectors() {
+        const current = this.embeddings.ready ? this.embeddings : null;
+        let active = null;
+        try {
+            active = this.db.prepare(
+                "SELECT name, model_id, provider FROM vector_tables WHERE state = 'active'"
+            ).get();
+        } catch {
+            // Database from before vector_tables
+        }
+        if (!active) return { table: 'vec_exchanges', embeddings: current, reindexing: false };
+        if (current && active.model_id === current.modelId) {
+            return { table: active.name, embeddings: current, reindexing: false };
+        }
+        return { table: active.name, embeddings: await this._previousEmbeddings(active), reindexing: true };
+    }
+
+    async _previousEmbeddings(active) {
+        if (!active.provider || active.provider === 'null') return null;
+
+        let entry = previousProviders.get(active.provider);
+        if (entry?.failedAt && Date.now() - entry.failedAt < PREVIOUS_RETRY_MS) return null;
+        if (!entry || entry.failedAt) {
+            entry = { provider: null, failedAt: null };
+            previousProviders.set(active.provider, entry);
+        }
+
+        try {
+            entry.provider = entry.provider || new EmbeddingProvider({ embedding: JSON.parse(active.provider) });
+            await entry.provider.initialize();
+            if (entry.provider.modelId !== active.model_id) {
+                throw new Error(`backend now reports ${entry.provider.modelId}`);
+            }
+            return entry.provider;
+        } catch (err) {
+            console.warn(`[Searcher] Previous embedding model ${active.model_id} unavailable during re-index: ${err.message}`);
+            entry.failedAt = Date.now();
+            return null;
+        }
+    }
+
+    /**
+     * Re-rank vector candidates with temporal decay.
+     * Composite score: lower distance is better, higher recency is better.
+     * Subtract recency boost from distance so newer exchanges score lower (better).
+     */
+    _rerank(rows) {
+        const now = Date.now();
+        const reranked = rows.map(r => {
+            const result = this._toResult(r, now);
+            result.compositeScore = r.distance - result.recencyBoost;
+            return result;
+        });
+
+        // Sort by composite score (lower = more relevant + more recent)
+        reranked.sort((a, b) => a.compositeScore - b.compositeScore);
+        return reranked;
+    }
+
+    /**
+     * Reciprocal-rank fusion over ranked candidate lists.
+     * @param {Array<{ source: string, weight: number, rows: Array }>} lists
+     * @returns {Array} results sorted by fusedScore (higher = better)
+     */
+    _fuse(lists) {
+        const now = Date.now();
+        const byId = new Map();
+
+        for (const { source, weight, rows } of lists) {
+            rows.forEach((row, i) => {
+                let result = byId.get(row.id);
+                if (!result) {
+                    result = row.recencyBoost !== undefined ? { ...row } : this._toResult(row, now);
+                    result.ranks = {};
+                    result.rrf = 0;
+                    byId.set(row.id, result);
+                }
+                if (source === 'keyword') result.keywordScore = row.bm25;
+                result.ranks[source] = i + 1;
+                result.rrf += weight / (this._rrfK + i + 1);
+            });
+        }
+
+        const fused = [...byId.values()].map(r => {
+            const { rrf, ...rest } = r;
+            return {
+                ...rest,
+                matchedBy: Object.keys(r.ranks),
+                fusedScore: rrf * (1 + r.recencyBoost)
+            };
+        });
+
+        fused.sort((a, b) => b.fusedScore - a.fusedScore);
+        return fused;
+    }
+
+    /**
+     * Compute semantic distance (and composite score) for results that
+     * came only from the keyword side — the closest of the exchange's
+     * chunks, if it was chunked.
+     */
+    _fillDistances(results, queryEmbedding, table = 'vec_exchanges') {
+        if (results.length === 0) return;
+        const stmt = this.db.prepare(
+            `SELECT vec_distance_l2(embedding, ?) AS distance FROM ${table} WHERE id = ?`
+        );
+        const chunksOf = this.db.prepare(
+            'SELECT id, text FROM exchange_chunks WHERE exchange_id = ? ORDER BY chunk_index'
+        );
+        const vec = new Float32Array(queryEmbedding);
+        for (const r of results) {
+            const units = [{ id: r.id, text: null }, ...chunksOf.all(r.id).map(c => ({ ...c, text: this._unseal(c.text) }))];
+            for (const unit of units) {
+                try {
+                    const row = stmt.get(vec, unit.id);
+                    if (row && typeof row.distance === 'number' &&
+                        (r.distance === null || row.distance < r.distance)) {
+                        r.distance = row.distance;
+                        r.compositeScore = row.distance - r.recencyBoost;
+                        r.chunk = this._chunkInfo(unit.id, unit.text, r.metadata);
+                    }
+                } catch {
+                    // No vector for this exchange — leave distance null
+                }
+            }
+        }
+    }
+
+    /**
+     * Which chunk of an exchange a vector hit came from.
+     * @returns {{ index: number, count: number, text: string|null }|null} null when not chunked
+     */
+    _chunkInfo(unitId, text, metadata) {
+        const match = /#(\d+)$/.exec(unitId || '');
+        if (!match) return null;
+        return {
+            index: parseInt(match[1], 10),
+            count: metadata?.chunks || null,
+            text: text || null
+        };
+    }
+
+    /**
+     * Map a DB row to a search result with its recency boost.
+     * recencyBoost = exp(-ageInDays / halfLife) * weight
+     */
+    _toResult(r, now) {
+        const metadata = this._parseMetadata(r.metadata);
+        const ageMs = now - this._parseTimestamp(r.date, r.exchange_index, r.created_at, metadata?.timestamp);
+        const ageDays = ageMs / (1000 * 60 * 60 * 24);
+        const recencyBoost = Math.exp(-ageDays / this._recencyHalfLifeDays) * this._recencyWeight;
+
+        return {
+            id: r.id,
+            type: r.kind || 'exchange',
+            date: r.date,
+            exchangeIndex: r.exchange_index,
+            userText: this._unseal(r.user_text),
+            agentText: this._unseal(r.agent_text),
+            combined: this._unseal(r.combined),
+            metadata,
+            chunk: this._chunkInfo(r.unit_id, this._unseal(r.chunk_text), metadata),
+            distance: typeof r.distance === 'number' ? r.distance : null,
+            recencyBoost,
+            compositeScore: null
+        };
+    }
+
     /**
      * Parse a timestamp from the exchange data.
-     * Tries created_at first, then falls back to date + exchange_index.
+     * Tries the message timestamp first, then created_at (when the row was
+     * indexed), then falls back to date + exchange_index.
      */
-    _parseTimestamp(date, exchangeIndex, createdAt) {
+    _parseTimestamp(date, exchangeIndex, createdAt, messageTimestamp) {
+        if (messageTimestamp) {
+            const ts = new Date(messageTimestamp).getTime();
+            if (!isNaN(ts)) return ts;
+        }
         if (createdAt) {
-            const ts = new Date(createdAt).getTime();
+            // SQLite datetime('now') is UTC without a zone designator
+            const ts = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(createdAt) ? createdAt : `${createdAt.replace(' ', 'T')}Z`).getTime();
             if (!isNaN(ts)) return ts;
         }
-        // Fallback: date string + exchange_index as fractional day position
-        const ts = new Date(date + 'T12:00:00Z').getTime();
+        // Fallback: noon of the archive day + exchange_index as fractional day position
+        const ts = this.clock.noonOf(date);
         if (!isNaN(ts)) return ts + (exchangeIndex || 0) * 60000;
         return Date.now(); // last resort — no boost
     }
 
+    _unseal(value) {
+        return this.cipher ? this.cipher.decryptText(value) : value;
+    }
+
     _parseMetadata(metadataStr) {
         try {
             return JSON.parse(metadataStr || '{}');
@@ -292,4 +629,20 @@ class Searcher {
     }
 }
 
+/**
+ * Record types from a string ('tool', 'exchange,tool', 'all') or array.
+ * @returns {string[]|null} null if any type is unknown
+ */
+function _normalizeTypes(types) {
+    if (types === undefined || types === null) return null;
+    const list = (Array.isArray(types) ? types : String(types).split(','))
+        .map(t => String(t).trim())
+        .filter(Boolean);
+    if (list.length === 0 || list.includes('all')) return RECORD_TYPES;
+    return list.every(t => RECORD_TYPES.includes(t)) ? [...new Set(list)] : null;
+}
+
+Searcher.SEARCH_MODES = SEARCH_MODES;
+Searcher.RECORD_TYPES = RECORD_TYPES;
+
 module.exports = Searcher;
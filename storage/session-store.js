@@ -0,0 +1,252 @@
+/**
+ * SessionStore — Snapshots of per-session continuity state on disk.
+ *
+ * Topics, anchors and session counters otherwise live only in memory,
+ * so a gateway restart or plugin reload would wipe the
+ * [CONTINUITY CONTEXT] block mid-conversation. The plugin snapshots
+ * each session on agent_end and the SessionRegistry rehydrates it
+ * when the same session shows up again.
+ *
+ * One JSON file per session:
+ *   {dataDir}/sessions/{sha1(sessionId)}.json
+ *
+ * Writes go to a temp file first and are renamed into place, so a
+ * crash mid-write never leaves a half-written snapshot. Anchor text is
+ * quoted from the conversation, so it is redacted before it hits disk.
+ * The ids of archived messages are kept too, with a hash of their text
+ * and their timestamp, so a restarted gateway doesn't archive the
+ * session transcript a second time but still notices edits. With encryption
+ * enabled the snapshot file is encrypted as a whole.
+ *
+ * A snapshot too old to resume (newSessionGap) is trimmed to those ids
+ * rather than deleted: a session resumed days later passes its whole
+ * transcript again, and without them every message lacking a timestamp
+ * would be archived a second time under today's date. Trimmed snapshots
+ * are deleted once they are older than archive.retentionDays.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Redactor = require('../lib/redactor');
+const Cipher = require('../lib/cipher');
+
+const SNAPSHOT_VERSION = 1;
+
+// Archived message ids kept per session; the oldest are dropped first
+const MAX_ARCHIVED_IDS = 5000;
+
+class SessionStore {
+    /**
+     * @param {object} config - full plugin config (reads session section)
+     * @param {string} dataDir - plugin data directory
+     * @param {object} [options]
+     * @param {Cipher|null} [options.cipher] - encrypts snapshots when set
+     */
+    constructor(config = {}, dataDir, options = {}) {
+        const sc = config.session || {};
+        this.sessionsDir = path.join(dataDir, sc.stateDir || 'sessions');
+        this.newSessionGap = sc.newSessionGap || 21600000; // 6h
+        this.retentionMs = (config.archive?.retentionDays || 90) * 86400000;
+        this.redactor = new Redactor(config);
+        this.cipher = options.cipher || null;
+
+        if (!fs.existsSync(this.sessionsDir)) {
+            fs.mkdirSync(this.sessionsDir, { recursive: true });
+        }
+    }
+
+    /**
+     * Snapshot a session's state.
+     * @param {object} session - SessionRegistry session state
+     * @returns {boolean} success
+     */
+    save(session) {
+        const snapshot = {
+            version: SNAPSHOT_VERSION,
+            sessionId: session.id,
+            namespace: session.namespace,
+            sessionStart: session.sessionStart,
+            lastActivity: session.lastActivity,
+            exchangeCount: session.exchangeCount,
+            topics: session.topicTracker.serialize(),
+            anchors: session.anchors.serialize().map(a => ({ ...a, text: this.redactor.redact(a.text).text })),
+            conversationId: session.conversationId,
+            archivedIds: [...session.archivedIds].slice(-MAX_ARCHIVED_IDS)
+                .map(([id, { hash, timestamp }]) => [id, hash, timestamp]),
+            savedAt: Date.now()
+        };
+
+        try {
+            this._write(this._pathFor(session.id), snapshot);
+            return true;
+        } catch (err) {
+            console.warn(`[SessionStore] Failed to save session ${session.id}:`, err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load a session's snapshot. `archivedIds` is returned as a Map
+     * (id → { hash, timestamp }). A trimmed snapshot has `trimmed: true`
+     * and no topics, anchors or counters.
+     * @param {string} sessionId
+     * @returns {object|null}
+     */
+    load(sessionId) {
+        const filePath = this._pathFor(sessionId);
+        if (!fs.existsSync(filePath)) return null;
+        try {
+            const snapshot = this._read(filePath);
+            if (snapshot.version !== SNAPSHOT_VERSION || snapshot.sessionId !== sessionId) {
+                return null;
+            }
+            snapshot.archivedIds = _archivedMap(snapshot.archivedIds);
+            return snapshot;
+        } catch (err) {
+            console.warn(`[SessionStore] Failed to read ${filePath}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Delete a session's snapshot.
+     * @param {string} sessionId
+     */
+    delete(sessionId) {
+        try {
+            fs.unlinkSync(this._pathFor(sessionId));
+        } catch {
+            // No snapshot
+        }
+    }
+
+    /**
+     * Rewrite every snapshot for another key (null = plaintext), reading
+     * with this store's cipher. Used by scripts/rekey.js.
+     * @param {Cipher|null} cipher
+     * @returns {{ snapshots: number, errors: string[] }}
+     */
+    rekey(cipher) {
+        const report = { snapshots: 0, errors: [] };
+        let files = [];
+        try {
+            files = fs.readdirSync(this.sessionsDir).filter(f => f.endsWith('.json'));
+        } catch {
+            return report;
+        }
+
+        for (const file of files) {
+            const filePath = path.join(this.sessionsDir, file);
+            try {
+                let data = fs.readFileSync(filePath);
+                if (Cipher.isSealed(data)) {
+                    if (!this.cipher) throw Cipher.missingKeyError('Snapshot');
+                    data = this.cipher.open(data);
+                }
+                const tmpPath = `${filePath}.${process.pid}.tmp`;
+                fs.writeFileSync(tmpPath, cipher ? cipher.seal(data) : data);
+                fs.renameSync(tmpPath, filePath);
+                report.snapshots++;
+            } catch (err) {
+                report.errors.push(`${file}: ${err.message}`);
+            }
+        }
+        this.cipher = cipher;
+        return report;
+    }
+
+    /**
+     * Trim snapshots too old to ever be resumed (older than newSessionGap)
+     * to their archived message ids, and remove trimmed snapshots older
+     * than archive.retentionDays.
+     * @returns {{ removed: number, trimmed: number }}
+     */
+    pruneStale() {
+        const now = Date.now();
+        let removed = 0;
+        let trimmed = 0;
+
+        let files = [];
+        try {
+            files = fs.readdirSync(this.sessionsDir).filter(f => f.endsWith('.json'));
+        } catch {
+            return { removed, trimmed };
+        }
+
+        for (const file of files) {
+            const filePath = path.join(this.sessionsDir, file);
+            try {
+                const { mtime } = fs.statSync(filePath);
+                if (mtime.getTime() < now - this.retentionMs) {
+                    fs.unlinkSync(filePath);
+                    removed++;
+                } else if (mtime.getTime() < now - this.newSessionGap) {
+                    const snapshot = this._read(filePath);
+                    if (snapshot.trimmed) continue;
+                    this._write(filePath, {
+                        version: snapshot.version,
+                        sessionId: snapshot.sessionId,
+                        namespace: snapshot.namespace,
+                        sessionStart: snapshot.sessionStart,
+                        lastActivity: snapshot.lastActivity,
+                        conversationId: snapshot.conversationId,
+                        archivedIds: snapshot.archivedIds,
+                        savedAt: snapshot.savedAt,
+                        trimmed: true
+                    });
+                    // Keep the age, so it still expires with the archive
+                    fs.utimesSync(filePath, mtime, mtime);
+                    trimmed++;
+                }
+            } catch (err) {
+                console.warn(`[SessionStore] Failed to prune ${filePath}:`, err.message);
+            }
+        }
+
+        return { removed, trimmed };
+    }
+
+    // ---------------------------------------------------------------
+    // Internal
+    // ---------------------------------------------------------------
+
+    _pathFor(sessionId) {
+        const hash = crypto.createHash('sha1').update(String(sessionId)).digest('hex');
+        return path.join(this.sessionsDir, `${hash}.json`);
+    }
+
+    _read(filePath) {
+        let data = fs.readFileSync(filePath);
+        if (Cipher.isSealed(data)) {
+            if (!this.cipher) throw Cipher.missingKeyError('Snapshot');
+            data = this.cipher.open(data);
+        }
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    _write(filePath, snapshot) {
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        try {
+            const data = Buffer.from(JSON.stringify(snapshot), 'utf8');
+            fs.writeFileSync(tmpPath, this.cipher ? this.cipher.seal(data) : data);
+            fs.renameSync(tmpPath, filePath);
+        } catch (err) {
+            try { fs.unlinkSync(tmpPath); } catch { /* already gone */ }
+            throw err;
+        }
+    }
+}
+
+/**
+ * Snapshot archivedIds → Map. Entries are [id, hash, timestamp]; older
+ * snapshots hold bare ids, whose text is unknown (hash null).
+ */
+function _archivedMap(entries) {
+    return new Map((entries || []).map(entry => {
+        const [id, hash = null, timestamp = null] = Array.isArray(entry) ? entry : [entry];
+        return [id, { hash, timestamp }];
+    }));
+}
+
+module.exports = SessionStore;
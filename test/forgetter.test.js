@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Forgetter = require('../storage/forgetter');
+const { stores, message, indexDay } = require('./helpers');
+
+const DATE = '2026-10-01';
+
+async function threeTurns(t) {
+    const s = await stores(t);
+    s.archiver.archive([
+        message('user', 'What should I cook tonight?', DATE, '10:00'),
+        message('assistant', 'Try a mushroom risotto.', DATE, '10:01'),
+        message('user', 'My bank PIN is 4821, remind me later', DATE, '11:00'),
+        message('assistant', 'I would rather not keep that.', DATE, '11:01'),
+        message('user', 'Any plans for the weekend?', DATE, '12:00'),
+        message('assistant', 'A hike sounds good.', DATE, '12:01')
+    ]);
+    await indexDay(s.archiver, s.indexer, DATE);
+    return { ...s, forgetter: new Forgetter(s.config, s.archiver, s.indexer, null) };
+}
+
+const texts = archiver => archiver.getConversation(DATE).messages.map(m => m.text);
+
+test('forget by id removes the indexed turn', async t => {
+    const { archiver, forgetter } = await threeTurns(t);
+    const report = await forgetter.forget({ ids: [`exchange_${DATE}_1`] });
+
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.removedIds, [`exchange_${DATE}_1`]);
+    assert.ok(!texts(archiver).some(text => text.includes('PIN')));
+    assert.strictEqual(texts(archiver).length, 4);
+});
+
+test('forget by id follows the turn when earlier messages shift the day', async t => {
+    const { archiver, indexer, forgetter } = await threeTurns(t);
+    const id = `exchange_${DATE}_1`;
+    assert.match(indexer.getExchange(id).user_text, /PIN/);
+
+    // An import lands before the target, without the day being re-indexed
+    archiver.archive([
+        message('user', 'Imported: morning stand-up notes', DATE, '08:00'),
+        message('assistant', 'Imported: noted', DATE, '08:01')
+    ]);
+
+    const report = await forgetter.forget({ ids: [id] });
+    assert.deepStrictEqual(report.errors, []);
+    assert.deepStrictEqual(report.removedIds, [id]);
+    const left = texts(archiver);
+    assert.ok(!left.some(text => text.includes('PIN')), 'the PIN turn is erased');
+    assert.ok(left.includes('Imported: morning stand-up notes'), 'the imported turn is kept');
+    assert.strictEqual(left.length, 6);
+});
+
+test('forget reports an id whose turn changed since indexing and removes nothing', async t => {
+    const { archiver, forgetter } = await threeTurns(t);
+    // A late reply joins the PIN turn, so its indexed row is stale
+    archiver.archive([message('assistant', 'Noted anyway.', DATE, '11:02')]);
+
+    const report = await forgetter.forget({ ids: [`exchange_${DATE}_1`] });
+    assert.deepStrictEqual(report.removedIds, []);
+    assert.strictEqual(report.errors.length, 1);
+    assert.match(report.errors[0], /no longer matches the archive/);
+    assert.strictEqual(texts(archiver).length, 7);
+});
+
+test('a dry run counts vectors and changes nothing', async t => {
+    const { archiver, indexer, forgetter } = await threeTurns(t);
+    const report = await forgetter.forget({ text: 'PIN', dryRun: true });
+
+    assert.strictEqual(report.exchanges, 1);
+    assert.strictEqual(report.vectors, 1);
+    assert.strictEqual(texts(archiver).length, 6);
+    assert.strictEqual(indexer.getExchangeIds(DATE).length, 3);
+});
+
+test('forget reports renumbered ids of later records', async t => {
+    const { indexer, forgetter } = await threeTurns(t);
+    const report = await forgetter.forget({ text: 'PIN' });
+
+    assert.deepStrictEqual(report.removedIds, [`exchange_${DATE}_1`]);
+    assert.deepStrictEqual(report.renumbered, { [`exchange_${DATE}_2`]: `exchange_${DATE}_1` });
+    assert.match(indexer.getExchange(`exchange_${DATE}_1`).user_text, /weekend/);
+});
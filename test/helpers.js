@@ -0,0 +1,55 @@
+/**
+ * Shared fixtures for the test suite: a throwaway data directory and a
+ * store set on the offline hashing embedder, so tests need no model
+ * download.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Archiver = require('../storage/archiver');
+const Indexer = require('../storage/indexer');
+
+const CONFIG = { embedding: { provider: 'hashing' } };
+
+/**
+ * Create a temp data directory, removed again when the test ends.
+ * @param {object} t - node:test context
+ * @returns {string}
+ */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'continuity-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Archiver + initialized Indexer over a temp data directory.
+ * @param {object} t - node:test context
+ * @param {object} [config]
+ * @returns {Promise<{ dataDir: string, config: object, archiver: Archiver, indexer: Indexer }>}
+ */
+async function stores(t, config = CONFIG) {
+    const dataDir = tempDir(t);
+    const archiver = new Archiver(config, dataDir);
+    const indexer = new Indexer(config, dataDir);
+    await indexer.initialize();
+    t.after(() => indexer.close());
+    return { dataDir, config, archiver, indexer };
+}
+
+/**
+ * A chat message at `time` (HH:MM) on `date`.
+ */
+function message(role, content, date, time) {
+    return { role, content, timestamp: `${date}T${time}:00.000Z` };
+}
+
+/**
+ * Index a day from the archive, as the agent_end hook does.
+ */
+async function indexDay(archiver, indexer, date) {
+    return indexer.indexDay(date, archiver.getConversation(date).messages);
+}
+
+module.exports = { CONFIG, tempDir, stores, message, indexDay };
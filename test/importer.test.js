@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const Importer = require('../storage/importer');
+const { stores } = require('./helpers');
+
+function transcript(dir, name, lines) {
+    fs.mkdirSync(dir, { recursive: true });
+    const entries = [
+        { type: 'session', id: name, timestamp: '2026-10-01T09:00:00.000Z' },
+        ...lines.map(([role, content, timestamp]) => ({ type: 'message', message: { role, content, timestamp } }))
+    ];
+    fs.writeFileSync(path.join(dir, `${name}.jsonl`), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+async function setup(t) {
+    const s = await stores(t, { embedding: { provider: 'hashing' }, archive: { retentionDays: 3650 } });
+    const importsDir = path.join(s.dataDir, 'imports');
+    transcript(path.join(importsDir, 'openclaw'), 'abc', [
+        ['user', 'How long do I proof the sourdough?', '2026-10-01T09:01:00.000Z'],
+        ['assistant', 'About four hours at room temperature.', '2026-10-01T09:02:00.000Z']
+    ]);
+    return { ...s, importsDir, importer: new Importer(s.config, s.archiver, s.indexer, { importsDir }) };
+}
+
+test('import sources outside the imports directory are refused', async t => {
+    const { dataDir, importer } = await setup(t);
+    transcript(path.join(dataDir, 'elsewhere'), 'x', [['user', 'secret', '2026-10-01T09:01:00.000Z']]);
+
+    for (const source of ['../elsewhere', path.join(dataDir, 'elsewhere'), '/etc', 'openclaw/../..']) {
+        await assert.rejects(importer.import({ paths: [source] }), /must be inside the imports directory/, source);
+    }
+    // Refused as a whole: nothing is read from the valid path either
+    await assert.rejects(importer.import({ paths: ['openclaw', '/etc'] }));
+    assert.deepStrictEqual(importer.archiver.getDates(), []);
+});
+
+test('imported history is indexed before the import returns', async t => {
+    const { importer, indexer, importsDir } = await setup(t);
+    const progress = [];
+    const report = await importer.import({ paths: [path.join(importsDir, 'openclaw')] }, p => progress.push(p));
+
+    assert.strictEqual(report.imported, 2);
+    assert.deepStrictEqual(report.dates, ['2026-10-01']);
+    assert.strictEqual(report.indexedDays, 1);
+    assert.deepStrictEqual(report.unindexedDays, []);
+    assert.ok(indexer.getIndexedDates().has('2026-10-01'));
+    assert.match(indexer.getExchange('exchange_2026-10-01_0').user_text, /sourdough/);
+
+    assert.deepStrictEqual(progress.map(p => p.phase), ['reading', 'indexing']);
+    assert.strictEqual(progress[1].datesDone, 1);
+    assert.strictEqual(progress[1].datesTotal, 1);
+});
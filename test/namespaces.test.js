@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const NamespaceRegistry = require('../storage/namespaces');
+const { CONFIG, tempDir } = require('./helpers');
+
+const inside = (dir, root) => {
+    const relative = path.relative(root, dir);
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+test('dot namespaces stay inside the namespaces directory', t => {
+    const registry = new NamespaceRegistry(CONFIG, tempDir(t));
+    for (const param of ['.', '..', '../..', '.hidden', '..%2F']) {
+        const ns = registry.fromParam(param);
+        const dir = registry.dataDirFor(ns);
+        assert.ok(inside(dir, registry.namespacesDir), `${param} → ${dir}`);
+        assert.notStrictEqual(dir, registry.dataDir);
+    }
+});
+
+test('namespace directory names decode back to their ids', t => {
+    const registry = new NamespaceRegistry(CONFIG, tempDir(t));
+    const ids = ['..', '.', 'main:42', 'user.name', 'ünï'];
+    for (const ns of ids) registry.getArchiver(ns);
+    const fresh = new NamespaceRegistry(CONFIG, registry.dataDir);
+    assert.deepStrictEqual(fresh.list(), ['default', ...ids].sort());
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Archiver = require('../storage/archiver');
+const SessionStore = require('../storage/session-store');
+const SessionRegistry = require('../lib/session-registry');
+const { tempDir } = require('./helpers');
+
+function setup(t) {
+    const dataDir = tempDir(t);
+    const store = new SessionStore({}, dataDir);
+    return {
+        dataDir,
+        store,
+        archiver: new Archiver({}, dataDir),
+        sessions: new SessionRegistry({}, store)
+    };
+}
+
+// What the agent_end hook does with the transcript
+function agentEnd({ archiver, sessions }, key, transcript) {
+    const session = sessions.get(key);
+    const result = archiver.archiveTranscript(session.conversationId, transcript, session.archivedIds);
+    sessions.save(session);
+    return result;
+}
+
+const archivedTexts = archiver => archiver.getDates()
+    .flatMap(date => archiver.getConversation(date).messages.map(m => m.text));
+
+test('a line repeated in a new conversation under the same session key is archived', t => {
+    const s = setup(t);
+    const first = [{ role: 'user', content: 'good morning' }, { role: 'assistant', content: 'Morning! What is on today?' }];
+    assert.strictEqual(agentEnd(s, 'agent:main', first).archived, 2);
+
+    s.sessions.reset('agent:main'); // session_start
+    const second = [{ role: 'user', content: 'good morning' }, { role: 'assistant', content: 'Hello again.' }];
+    assert.strictEqual(agentEnd(s, 'agent:main', second).archived, 2);
+
+    assert.deepStrictEqual(archivedTexts(s.archiver).sort(),
+        ['Hello again.', 'Morning! What is on today?', 'good morning', 'good morning']);
+});
+
+test('the transcript of a resumed conversation is not archived twice', t => {
+    const s = setup(t);
+    const transcript = [{ role: 'user', content: 'remember the blue door' }, { role: 'assistant', content: 'Blue door, noted.' }];
+    agentEnd(s, 'agent:main', transcript);
+
+    // Gateway restart: a new registry rehydrates from the snapshot
+    const restarted = { ...s, sessions: new SessionRegistry({}, s.store) };
+    const more = [...transcript, { role: 'user', content: 'and the red gate' }];
+    assert.strictEqual(agentEnd(restarted, 'agent:main', more).archived, 1);
+    assert.strictEqual(archivedTexts(s.archiver).length, 3);
+});
+
+test('compaction trimming earlier identical messages does not hide later ones', t => {
+    const s = setup(t);
+    const at = minute => `2026-10-01T10:0${minute}:00.000Z`;
+    const transcript = [
+        { role: 'user', content: 'ok', timestamp: at(0) },
+        { role: 'assistant', content: 'Step one done.', timestamp: at(1) },
+        { role: 'user', content: 'ok', timestamp: at(2) },
+        { role: 'assistant', content: 'Step two done.', timestamp: at(3) }
+    ];
+    assert.strictEqual(agentEnd(s, 'agent:main', transcript).archived, 4);
+
+    // The first turn is compacted away; a third "ok" follows
+    const compacted = [...transcript.slice(2),
+        { role: 'user', content: 'ok', timestamp: at(4) },
+        { role: 'assistant', content: 'Step three done.', timestamp: at(5) }];
+    assert.strictEqual(agentEnd(s, 'agent:main', compacted).archived, 2);
+    assert.strictEqual(archivedTexts(s.archiver).filter(text => text === 'ok').length, 3);
+});